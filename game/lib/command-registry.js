@@ -0,0 +1,266 @@
+const {ShellSyntaxError, parseOptions} = require("../public/js/shell-lexer");
+
+/**
+ * An argument accepted by a {@link Command}.
+ * @typedef CommandArgument
+ * @prop {string} name the name of the argument, as displayed in the usage string
+ * @prop {boolean} [optional] whether the argument may be omitted; optional arguments must come after required ones
+ * @prop {"file" | "directory" | "string"} [type] what the argument refers to; used for tab completion
+ */
+
+/**
+ * A Neuro Game API action that invokes a {@link Command}.
+ * @typedef CommandAction
+ * @prop {string} name the name of the action; doesn't need to match the name of the command
+ * @prop {string} description
+ * @prop {?AnySchema} schema the JSON Schema of the action's data
+ * @prop {function(Object): string[]} [toArgs] converts the action's data into the command's arguments; defaults to no arguments
+ */
+
+/**
+ * The value returned by a command handler; it's used as the result of a Neuro action.
+ * @typedef CommandResult
+ * @prop {boolean} success
+ * @prop {string} message
+ * @prop {boolean} [replacedGame] whether the command replaced the game state, like `reset` and `load`;
+ *                                no events are emitted for it, since they would reach the triggers and endings of the new game
+ */
+
+/**
+ * A terminal command.
+ * @typedef Command
+ * @prop {string} name the name typed into the terminal to invoke this command
+ * @prop {string} help a short, one-line description of the command shown by `help`
+ * @prop {CommandArgument[]} args the arguments this command accepts, not including options
+ * @prop {OptionSpec[]} [options] the options this command accepts; if omitted, arguments starting with `-` aren't treated as options
+ * @prop {function(CommandContext): boolean} [isVisible] whether this command is currently available; commands are always available if omitted
+ * @prop {boolean} [availableAfterEnding] whether this command can still be used once the game has ended, such as `reset`
+ * @prop {CommandAction} [action] the Neuro action for this command; the command isn't exposed to Neuro if omitted
+ * @prop {function(CommandContext, string[], Record<string, string | boolean>): CommandResult} handler called with the arguments and the parsed options
+ */
+
+/**
+ * Flags that track the player's progress through the game, keyed by name.
+ * Besides the flags below, the triggers in `triggers.json` may set flags of their own; flags that haven't been set are `false`.
+ * @typedef {Record<string, boolean>} GameFlags
+ * @prop {boolean} adminShutdownUnlocked whether `admin_shutdown.sh` has been opened, which unlocks `admin_shutdown`
+ * @prop {boolean} adminShutdownInitiated whether `admin_shutdown` has been run
+ */
+
+/**
+ * The environment a command handler runs in.
+ * @typedef CommandContext
+ * @prop {VFileSystem} vfs
+ * @prop {GameFlags} flags
+ * @prop {Scenario} scenario the scenario being played
+ * @prop {TriggerEngine} triggers
+ * @prop {?Ending} ending how the game ended, or `null` if it's still being played
+ * @prop {CommandRegistry} registry
+ * @prop {NeuroIntegration} neuroIntegration
+ * @prop {boolean} sendToNeuro whether the command was entered on the terminal rather than by Neuro; terminal output is sent to Neuro as context if it was;
+ *                             always `false` if the output of the command doesn't go to the terminal
+ * @prop {?string} stdin the output of the previous command in a pipeline, or `null` if the command isn't reading from a pipe
+ * @prop {function(string): void} print print line(s) of text to the terminal, or to the next command in the pipeline
+ * @prop {function(SequenceLine[]): void} playSequence play a sequence on the terminal, like `print` but typed out over time;
+ *                                                    its text is sent to Neuro once it has finished playing if `sendToNeuro` is `true`
+ * @prop {function(Message): void} display add a message (such as a `display-file` message) to the game state and send it to all clients;
+ *                                         if the output of the command doesn't go to the terminal, the message is converted into text instead
+ * @prop {function(string, boolean): void} sendContext send context to Neuro; does nothing if `sendToNeuro` is `false`
+ * @prop {function(): void} updateContext send a {@link ContextUpdateMessage} to all clients
+ * @prop {function(TriggerEvent): void} emit fire the triggers that react to an event; their output always goes to the terminal
+ * @prop {function(string, boolean): void} setFlag change a flag, firing the triggers that react to it
+ * @prop {function(string, string, function(?string): void): boolean} requestTextEntry open the text editor on the client that entered the command with a prompt and initial content;
+ *                                                                 the callback receives the submitted text, or `null` if the editor was cancelled;
+ *                                                                 returns `false` if the command wasn't entered on a terminal
+ * @prop {function(): boolean} saveGame immediately write the game state to the manual save file, which isn't overwritten by saving automatically; returns whether it succeeded
+ * @prop {function(): void} resetGame reset the game to its initial state and resync clients and Neuro
+ * @prop {function(string): boolean} switchScenario start a new game in another scenario and resync clients and Neuro; returns `false` if the scenario couldn't be loaded
+ * @prop {function(): (GameSnapshot | null)} loadGame replace the game state with the manual save file and resync clients and Neuro; returns the restored snapshot or `null` if there isn't a valid save
+ */
+
+const NUMBER_WORDS = ["zero", "one", "two", "three", "four", "five"];
+
+/**
+ * A collection of terminal commands.
+ * `help`, tab completion and the registered Neuro actions are all generated from it.
+ * @prop {Map<string, Command>} commands the registered commands in registration order
+ */
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map();
+    }
+
+    /**
+     * Register a command.
+     * @param {Command} command
+     * @throws {Error} if a command or action with the same name has already been registered
+     */
+    register(command) {
+        console.assert(typeof command?.name === "string" && command.name.length > 0, "command must have a non-empty name");
+        console.assert(typeof command.handler === "function", `command "${command.name}" must have a handler function`);
+        if (this.commands.has(command.name)) {
+            throw new Error(`A command named "${command.name}" has already been registered`);
+        }
+        if (command.action && this.findByActionName(command.action.name)) {
+            throw new Error(`An action named "${command.action.name}" has already been registered`);
+        }
+        command.args = command.args || [];
+        this.commands.set(command.name, command);
+    }
+
+    /**
+     * @param {string} name the name of the command
+     * @return {Command | null} the command or `null` if none has been registered with that name
+     */
+    get(name) {
+        return this.commands.get(name) || null;
+    }
+
+    /**
+     * @param {string} actionName the name of a Neuro action
+     * @return {Command | null} the command invoked by the action or `null` if there isn't one
+     */
+    findByActionName(actionName) {
+        for (const command of this.commands.values()) {
+            if (command.action?.name === actionName) {
+                return command;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * @param {CommandContext} ctx
+     * @return {Command[]} the commands that are currently available
+     */
+    getVisible(ctx) {
+        return Array.from(this.commands.values()).filter(command => isVisible(command, ctx));
+    }
+
+    /**
+     * @param {Command} command
+     * @return {string} the usage string of a command, such as `"open <file> [password]"` or `"head [-n lines] <file>"`
+     */
+    usage(command) {
+        const parts = [command.name];
+        for (const option of command.options || []) {
+            const flag = option.short ? `-${option.short}` : `--${option.name}`;
+            parts.push(option.takesValue ? `[${flag} ${option.name}]` : `[${flag}]`);
+        }
+        for (const arg of command.args) {
+            parts.push(arg.optional ? `[${arg.name}]` : `<${arg.name}>`);
+        }
+        return parts.join(" ");
+    }
+
+    /**
+     * @param {CommandContext} ctx
+     * @return {string} the text printed by the `help` command
+     */
+    helpText(ctx) {
+        const lines = ["Commands"];
+        for (const command of this.getVisible(ctx)) {
+            lines.push(`${command.name}: ${command.help}`);
+            lines.push(`└─Usage: ${this.usage(command)}`);
+        }
+        return lines.join("\n");
+    }
+
+    /**
+     * @param {CommandContext} ctx
+     * @param {string[]} [names] only include the actions of these commands
+     * @return {Action[]} the Neuro actions of the currently available commands
+     */
+    toActions(ctx, names) {
+        return this.getVisible(ctx)
+            .filter(command => command.action && (!names || names.includes(command.name)))
+            .map(({action}) => ({
+                name: action.name,
+                description: action.description,
+                schema: action.schema
+            }));
+    }
+
+    /**
+     * Run a command by name.
+     * Unknown and hidden commands, invalid options and invalid argument counts are reported to the terminal.
+     * If the command succeeds, a `"command"` event is emitted, after an `"enter-directory"` event if it changed the working directory,
+     * unless the command replaced the game state.
+     * @param {CommandContext} ctx
+     * @param {string} name the name of the command
+     * @param {string[]} args the arguments passed to the command, including options
+     * @return {CommandResult}
+     */
+    execute(ctx, name, args) {
+        const command = this.get(name);
+        if (!command || !isVisible(command, ctx)) {
+            const message = `${name}: command not found; try typing "help"`;
+            ctx.print(message);
+            return {success: false, message: message};
+        }
+        let operands = args;
+        let options = {};
+        if (command.options) {
+            try {
+                ({operands, options} = parseOptions(args, command.options));
+            } catch (e) {
+                if (e instanceof ShellSyntaxError) {
+                    const message = `${name}: ${e.message}`;
+                    ctx.print(message);
+                    return {success: false, message: message};
+                }
+                throw e; // rethrow other errors
+            }
+        }
+        const maxArgs = command.args.length;
+        const minArgs = command.args.filter(arg => !arg.optional).length;
+        if (operands.length < minArgs || operands.length > maxArgs) {
+            const message = `${name}: ${describeArgCount(minArgs, maxArgs)}`;
+            ctx.print(message);
+            return {success: false, message: message};
+        }
+        const previousPath = ctx.vfs.curPath;
+        const result = command.handler(ctx, operands, options);
+        if (result.success && !result.replacedGame) {
+            if (ctx.vfs.curPath !== previousPath) {
+                ctx.emit({event: "enter-directory", path: ctx.vfs.curPath});
+            }
+            ctx.emit({event: "command", command: name});
+        }
+        return result;
+    }
+}
+
+/**
+ * @param {Command} command
+ * @param {CommandContext} ctx
+ * @return {boolean} whether the command is available, hasn't been locked by `triggers.json` and can still be used if the game has ended
+ */
+function isVisible(command, ctx) {
+    return (!command.isVisible || command.isVisible(ctx)) && !ctx.triggers.isLocked(command.name, ctx.flags)
+        && (!ctx.ending || Boolean(command.availableAfterEnding));
+}
+
+/**
+ * @param {number} min
+ * @param {number} max
+ * @return {string} an error message such as `"expected one or two arguments"`
+ */
+function describeArgCount(min, max) {
+    const word = (n) => NUMBER_WORDS[n] || n.toString();
+    if (max === 0) {
+        return "expected no arguments";
+    } else if (min === 0) {
+        return `expected at most ${word(max)} argument${max === 1 ? "" : "s"}`;
+    } else if (min === max) {
+        return `expected ${word(min)} argument${min === 1 ? "" : "s"}`;
+    } else if (max - min === 1) {
+        return `expected ${word(min)} or ${word(max)} arguments`;
+    } else {
+        return `expected ${word(min)} to ${word(max)} arguments`;
+    }
+}
+
+module.exports = {
+    CommandRegistry
+};
@@ -0,0 +1,328 @@
+const {VFileSystemError, toNeuroFormat} = require("../virtual-file-system");
+const {toPublicJson} = require("../public-json");
+
+/** @type Command */
+const open = {
+    name: "open",
+    help: "View the contents of a file",
+    args: [{name: "file", type: "file"}],
+    action: {
+        name: "open_file",
+        description: "view the contents of a file; 'file' may be an absolute or relative path; you need permission to read the file, so you may have to switch to another user first",
+        schema: {
+            "type": "object",
+            "properties": {
+                "file": {
+                    "type": "string"
+                }
+            },
+            "required": ["file"]
+        },
+        toArgs: (data) => [data?.file || ""]
+    },
+    handler(ctx, [filePath]) {
+        let file;
+        let realPath;
+        try {
+            const path = ctx.vfs.resolvePath(filePath);
+            file = ctx.vfs.readFile(path);
+            realPath = ctx.vfs.lookup(path).path;
+        } catch (e) {
+            if (!(e instanceof VFileSystemError)) {
+                throw e; // rethrow other errors
+            }
+            ctx.display({
+                command: "cmd/result", msg: `open: ${e.message}`
+            });
+            ctx.sendContext(`Error opening file: ${e.message}`, true);
+            return {success: false, message: `Error opening file: ${e.message}`};
+        }
+
+        ctx.display({
+            command: "display-file", file: file
+        });
+        const message = toPublicJson(toNeuroFormat(file));
+        ctx.sendContext(message, false);
+        ctx.emit({event: "open", path: realPath});
+        return {success: true, message: message};
+    }
+};
+
+/**
+ * Run an operation that modifies the file system, reporting the outcome to the terminal.
+ * @param {CommandContext} ctx
+ * @param {string} commandName the name of the command running the operation
+ * @param {function(): string} operation performs the operation and returns a message describing what was done
+ * @return {CommandResult}
+ */
+function runFileOperation(ctx, commandName, operation) {
+    let message;
+    try {
+        message = operation();
+    } catch (e) {
+        if (e instanceof VFileSystemError) {
+            const error = `${commandName}: ${e.message}`;
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        throw e; // rethrow other errors
+    }
+    ctx.updateContext();
+    ctx.print(`${commandName}: ${message}`);
+    return {success: true, message: message};
+}
+
+/** @type Command */
+const touch = {
+    name: "touch",
+    help: "Create an empty text file if it doesn't already exist",
+    args: [{name: "file", type: "file"}],
+    action: {
+        name: "create_file",
+        description: "create an empty text file; 'file' may be an absolute or relative path",
+        schema: {
+            "type": "object",
+            "properties": {
+                "file": {
+                    "type": "string"
+                }
+            },
+            "required": ["file"]
+        },
+        toArgs: (data) => [data?.file || ""]
+    },
+    handler(ctx, [filePath]) {
+        return runFileOperation(ctx, "touch", () => {
+            const path = ctx.vfs.resolvePath(filePath);
+            const existed = ctx.vfs.exists(path);
+            ctx.vfs.createFile(path);
+            return existed ? `${path} already exists` : `created ${path}`;
+        });
+    }
+};
+
+/** @type Command */
+const write = {
+    name: "write",
+    help: "Replace the contents of a text file, creating it if it doesn't exist (use quotes for text with spaces)",
+    args: [{name: "file", type: "file"}, {name: "text"}],
+    action: {
+        name: "write_file",
+        description: "replace the contents of a text file, creating it if it doesn't exist; useful for leaving notes; 'file' may be an absolute or relative path",
+        schema: {
+            "type": "object",
+            "properties": {
+                "file": {
+                    "type": "string"
+                },
+                "content": {
+                    "type": "string"
+                }
+            },
+            "required": ["file", "content"]
+        },
+        toArgs: (data) => [data?.file || "", data?.content || ""]
+    },
+    handler(ctx, [filePath, text]) {
+        return runFileOperation(ctx, "write", () => {
+            const path = ctx.vfs.resolvePath(filePath);
+            const file = ctx.vfs.writeFile(path, text);
+            return `wrote ${file.size} to ${path}`;
+        });
+    }
+};
+
+/** @type Command */
+const edit = {
+    name: "edit",
+    help: "Edit a text file in the text editor, creating it if it doesn't exist",
+    args: [{name: "file", type: "file"}],
+    handler(ctx, [filePath]) {
+        const path = ctx.vfs.resolvePath(filePath);
+        let content = "";
+        try {
+            const file = ctx.vfs.readFile(path);
+            if (file.contentType !== "text") {
+                const error = `edit: "${path}" is not a text file`;
+                ctx.print(error);
+                return {success: false, message: error};
+            }
+            content = file.content;
+        } catch (e) {
+            if (!(e instanceof VFileSystemError)) {
+                throw e; // rethrow other errors
+            }
+            if (ctx.vfs.exists(path)) {
+                const error = `edit: ${e.message}`;
+                ctx.print(error);
+                return {success: false, message: error};
+            }
+            // the file will be created when the text is submitted
+        }
+        const opened = ctx.requestTextEntry(`Editing ${path}`, content, (newContent) => {
+            if (newContent === null) {
+                ctx.print(`edit: discarded changes to ${path}`);
+                return;
+            }
+            runFileOperation(ctx, "edit", () => {
+                const file = ctx.vfs.writeFile(path, newContent);
+                return `saved ${file.size} to ${path}`;
+            });
+        });
+        if (!opened) {
+            const error = "edit: the text editor is only available on the terminal";
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        return {success: true, message: `Opened ${path} in the text editor`};
+    }
+};
+
+/** @type Command */
+const mkdir = {
+    name: "mkdir",
+    help: "Create a directory (-p creates missing parent directories)",
+    args: [{name: "dir", type: "directory"}],
+    options: [{name: "parents", short: "p"}],
+    action: {
+        name: "make_directory",
+        description: "create a directory; 'dir' may be an absolute or relative path; missing parent directories are created too",
+        schema: {
+            "type": "object",
+            "properties": {
+                "dir": {
+                    "type": "string"
+                }
+            },
+            "required": ["dir"]
+        },
+        toArgs: (data) => ["-p", "--", data?.dir || ""]
+    },
+    handler(ctx, [dirPath], options) {
+        return runFileOperation(ctx, "mkdir", () => {
+            const path = ctx.vfs.resolvePath(dirPath);
+            ctx.vfs.makeDirectory(path, Boolean(options.parents));
+            return `created directory ${path}`;
+        });
+    }
+};
+
+/** @type Command */
+const rm = {
+    name: "rm",
+    help: "Remove a file (-r removes a directory and everything in it)",
+    args: [{name: "path", type: "file"}],
+    options: [{name: "recursive", short: "r"}],
+    action: {
+        name: "remove",
+        description: "remove a file or directory; 'path' may be an absolute or relative path; 'recursive' must be true to remove a directory",
+        schema: {
+            "type": "object",
+            "properties": {
+                "path": {
+                    "type": "string"
+                },
+                "recursive": {
+                    "type": "boolean"
+                }
+            },
+            "required": ["path"]
+        },
+        toArgs: (data) => [...(data?.recursive ? ["-r"] : []), "--", data?.path || ""]
+    },
+    handler(ctx, [path], options) {
+        return runFileOperation(ctx, "rm", () => {
+            const absPath = ctx.vfs.resolvePath(path);
+            ctx.vfs.remove(absPath, Boolean(options.recursive));
+            return `removed ${absPath}`;
+        });
+    }
+};
+
+/** @type Command */
+const mv = {
+    name: "mv",
+    help: "Move or rename a file or directory",
+    args: [{name: "source", type: "file"}, {name: "dest", type: "file"}],
+    action: {
+        name: "move",
+        description: "move or rename a file or directory; if 'dest' is an existing directory, 'source' is moved into it; both may be absolute or relative paths",
+        schema: {
+            "type": "object",
+            "properties": {
+                "source": {
+                    "type": "string"
+                },
+                "dest": {
+                    "type": "string"
+                }
+            },
+            "required": ["source", "dest"]
+        },
+        toArgs: (data) => [data?.source || "", data?.dest || ""]
+    },
+    handler(ctx, [source, dest]) {
+        return runFileOperation(ctx, "mv", () => {
+            const sourcePath = ctx.vfs.resolvePath(source);
+            const targetPath = ctx.vfs.move(sourcePath, ctx.vfs.resolvePath(dest));
+            return `moved ${sourcePath} to ${targetPath}`;
+        });
+    }
+};
+
+/** @type Command */
+const cp = {
+    name: "cp",
+    help: "Copy a file (-r copies a directory and everything in it)",
+    args: [{name: "source", type: "file"}, {name: "dest", type: "file"}],
+    options: [{name: "recursive", short: "r"}],
+    action: {
+        name: "copy",
+        description: "copy a file or directory; if 'dest' is an existing directory, 'source' is copied into it; both may be absolute or relative paths",
+        schema: {
+            "type": "object",
+            "properties": {
+                "source": {
+                    "type": "string"
+                },
+                "dest": {
+                    "type": "string"
+                }
+            },
+            "required": ["source", "dest"]
+        },
+        toArgs: (data) => ["-r", "--", data?.source || "", data?.dest || ""]
+    },
+    handler(ctx, [source, dest], options) {
+        return runFileOperation(ctx, "cp", () => {
+            const sourcePath = ctx.vfs.resolvePath(source);
+            const targetPath = ctx.vfs.copy(sourcePath, ctx.vfs.resolvePath(dest), Boolean(options.recursive));
+            return `copied ${sourcePath} to ${targetPath}`;
+        });
+    }
+};
+
+/** @type Command */
+const ln = {
+    name: "ln",
+    help: "Create a symbolic link (-s is required; hard links aren't supported)",
+    args: [{name: "target", type: "file"}, {name: "link", type: "file"}],
+    options: [{name: "symbolic", short: "s"}],
+    handler(ctx, [target, link], options) {
+        if (!options.symbolic) {
+            const error = "ln: hard links aren't supported; use \"ln -s\" to create a symbolic link";
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        return runFileOperation(ctx, "ln", () => {
+            // the target is stored as written, so relative targets stay relative to the link
+            const linkPath = ctx.vfs.resolvePath(link);
+            ctx.vfs.createSymlink(linkPath, target);
+            return `created ${linkPath} -> ${target}`;
+        });
+    }
+};
+
+module.exports = {
+    open, touch, write, edit, mkdir, rm, mv, cp, ln
+};
@@ -0,0 +1,38 @@
+const {CommandRegistry} = require("../command-registry");
+const {pwd, cd, ls, tree} = require("./navigation");
+const {open, touch, write, edit, mkdir, rm, mv, cp, ln} = require("./files");
+const {cat, head, tail, wc} = require("./text");
+const {find, grep} = require("./search");
+const {whoami, su, login, ssh} = require("./users");
+const {help, adminShutdown, scenario, save, load, reset} = require("./system");
+
+/**
+ * The commands available in the game, in the order they're listed by `help`.
+ * @type Command[]
+ */
+const builtinCommands = [
+    adminShutdown, pwd, cd, ls, tree, open, cat, head, tail, wc, touch, write, edit, mkdir, rm, mv, cp, ln, find, grep, whoami, su, login, ssh, help, scenario, save, load, reset
+];
+
+/**
+ * @param {?string[]} [names] only register the built-in commands with these names, such as the commands available in a scenario
+ * @return {CommandRegistry} a new registry containing the {@link builtinCommands}
+ * @throws {Error} if one of the names isn't a built-in command
+ */
+function createCommandRegistry(names = null) {
+    const unknownName = names?.find(name => !builtinCommands.some(command => command.name === name));
+    if (unknownName) {
+        throw new Error(`There isn't a command named "${unknownName}"`);
+    }
+    const registry = new CommandRegistry();
+    for (const command of builtinCommands) {
+        if (!names || names.includes(command.name)) {
+            registry.register(command);
+        }
+    }
+    return registry;
+}
+
+module.exports = {
+    builtinCommands, createCommandRegistry
+};
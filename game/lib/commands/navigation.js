@@ -0,0 +1,221 @@
+const _path = require("path").posix;
+const {VFileSystemError, toDisplayFormat} = require("../virtual-file-system");
+const {toPublicJson} = require("../public-json");
+
+/**
+ * How many levels of a tree are sent to Neuro; deeper directories are marked as truncated so that the message stays short.
+ * @type {number}
+ */
+const NEURO_TREE_DEPTH = 3;
+
+/** @type Command */
+const pwd = {
+    name: "pwd",
+    help: "Print the name of the working directory",
+    args: [],
+    action: {
+        name: "pwd",
+        description: "print the name of the working directory",
+        schema: {}
+    },
+    handler(ctx) {
+        ctx.print(ctx.vfs.curPath);
+        return {success: true, message: `The working directory is ${ctx.vfs.curPath}`};
+    }
+};
+
+/**
+ * Loosely follows the POSIX implementation of `cd`: {@link https://man7.org/linux/man-pages/man1/cd.1p.html}
+ * @type Command
+ */
+const cd = {
+    name: "cd",
+    help: "Change the working directory (remember that \"cd ..\" goes up a level)",
+    args: [{name: "dir", optional: true, type: "directory"}],
+    action: {
+        name: "change_directory",
+        description: "change the working directory (dir may be an absolute or relative path)",
+        schema: {
+            "type": "object",
+            "properties": {
+                "dir": {
+                    "type": "string"
+                }
+            },
+            "required": ["dir"]
+        },
+        toArgs: (data) => data?.dir ? [data.dir] : []
+    },
+    handler(ctx, [directory]) {
+        if (!directory) {
+            ctx.print(`cd: ${ctx.vfs.curPath}`);
+            return {success: true, message: `The working directory has not changed; it is still ${ctx.vfs.curPath}`};
+        }
+        const newPath = ctx.vfs.resolvePath(directory);
+        console.debug(`cd >> trying to change from "${ctx.vfs.curPath}" to ${newPath}`);
+        try {
+            ctx.vfs.changeDirectory(newPath);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                ctx.print(`cd: ${e.message}`);
+                return {success: false, message: `Failed to change the working directory; the error message is: ${e.message}`};
+            }
+            throw e; // rethrow other errors
+        }
+        ctx.updateContext();
+        ctx.print(`cd: ${ctx.vfs.curPath}`);
+        return {success: true, message: `The working directory has been changed to ${ctx.vfs.curPath}`};
+    }
+};
+
+/** @type Command */
+const ls = {
+    name: "ls",
+    help: "List the contents of a directory, the working directory by default (-l shows permissions and owners, -a shows hidden files)",
+    args: [{name: "path", optional: true, type: "directory"}],
+    options: [{name: "long", short: "l"}, {name: "all", short: "a"}],
+    action: {
+        name: "ls",
+        description: "list the contents of a directory; 'path' may be an absolute or relative path and defaults to the working directory; files marked as locked can't be read by the current user",
+        schema: {
+            "type": "object",
+            "properties": {
+                "path": {
+                    "type": "string"
+                }
+            }
+        },
+        toArgs: (data) => ["-l", "-a", "--", data?.path || "."]
+    },
+    handler(ctx, [path = "."], options) {
+        const absPath = ctx.vfs.resolvePath(path);
+        let nodes;
+        try {
+            const node = ctx.vfs.checkAccess(absPath);
+            // like the real `ls`, a file is listed on its own
+            nodes = node.type === "directory" ? Object.values(ctx.vfs.readDir(absPath).children) : [node];
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                ctx.print(`ls: ${e.message}`);
+                return {success: false, message: `Failed to list ${absPath}; the error message is: ${e.message}`};
+            }
+            throw e; // rethrow other errors
+        }
+        const dirContents = nodes
+            .filter(node => options.all || !node.name.startsWith("."))
+            .map(node => ({...toDisplayFormat(node), locked: node.type === "file" && !ctx.vfs.hasPermission(node, "r")}));
+        /** @type DisplayDirectoryMessage */
+        const resultMessage = {
+            command: "display-dir", contents: dirContents, long: Boolean(options.long)
+        };
+        ctx.display(resultMessage);
+        let message = `The following JSON represents the contents of ${absPath}. Remember that you can use \`cd\` to change directories and \`open\` to view a file's contents.\n`;
+        message += toPublicJson(dirContents);
+        return {success: true, message: message};
+    }
+};
+
+/**
+ * Build the tree shown by `tree` from a directory and everything inside it.
+ * @param {VFileSystem} vfs
+ * @param {string} path the absolute path of the top of the tree
+ * @param {number} maxDepth how many levels below the top to include
+ * @return {VTreeNode} the top of the tree, named after `path`
+ * @throws {VFileSystemError} if the path doesn't exist or the current user isn't allowed to access it
+ */
+function buildTree(vfs, path, maxDepth) {
+    const topPath = _path.normalize(path);
+    /** @type {Map<string, VTreeNode>} */
+    const treeNodes = new Map();
+    const denied = vfs.walk(path, (node, nodePath) => {
+        // the root of a mounted file system doesn't have a name of its own
+        const treeNode = {...toDisplayFormat(node), name: _path.basename(nodePath)};
+        if (node.type === "directory") {
+            treeNode.children = [];
+        }
+        if (nodePath !== topPath) {
+            treeNodes.get(_path.dirname(nodePath)).children.push(treeNode);
+        }
+        treeNodes.set(nodePath, treeNode);
+    });
+    for (const deniedPath of denied) {
+        treeNodes.get(deniedPath).denied = true;
+    }
+    const top = treeNodes.get(topPath);
+    top.name = path;
+    return limitTreeDepth(top, maxDepth);
+}
+
+/**
+ * @param {VTreeNode} treeNode
+ * @param {number} depth how many levels below `treeNode` to keep
+ * @return {VTreeNode} a copy of the tree where directories below `depth` have no children and are marked as truncated
+ */
+function limitTreeDepth(treeNode, depth) {
+    if (!treeNode.children) {
+        return treeNode;
+    } else if (depth <= 0) {
+        const {children, ...rest} = treeNode;
+        return children.length > 0 ? {...rest, truncated: true} : {...rest, children: []};
+    }
+    return {...treeNode, children: treeNode.children.map(child => limitTreeDepth(child, depth - 1))};
+}
+
+/** @type Command */
+const tree = {
+    name: "tree",
+    help: "Show a directory and everything inside it as a tree (-L limits how many levels are shown)",
+    args: [{name: "path", optional: true, type: "directory"}],
+    options: [{name: "level", short: "L", takesValue: true}],
+    action: {
+        name: "tree",
+        description: `show a directory and everything inside it as a tree; 'path' defaults to the working directory; you are shown at most ${NEURO_TREE_DEPTH} levels, so use 'path' to look deeper into directories marked as truncated`,
+        schema: {
+            "type": "object",
+            "properties": {
+                "path": {
+                    "type": "string"
+                },
+                "depth": {
+                    "type": "integer",
+                    "minimum": 1
+                }
+            }
+        },
+        toArgs: (data) => [...(data?.depth ? ["-L", data.depth.toString()] : []), "--", data?.path || "."]
+    },
+    handler(ctx, [path = "."], options) {
+        let maxDepth = Infinity;
+        if (options.level !== undefined) {
+            maxDepth = Number(options.level);
+            if (!Number.isInteger(maxDepth) || maxDepth < 1) {
+                const error = `tree: invalid level "${options.level}"; expected a positive whole number`;
+                ctx.print(error);
+                return {success: false, message: error};
+            }
+        }
+        const absPath = ctx.vfs.resolvePath(path);
+        let root;
+        try {
+            root = buildTree(ctx.vfs, absPath, maxDepth);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                ctx.print(`tree: ${e.message}`);
+                return {success: false, message: `Failed to show the tree of ${absPath}; the error message is: ${e.message}`};
+            }
+            throw e; // rethrow other errors
+        }
+        /** @type DisplayTreeMessage */
+        const resultMessage = {
+            command: "display-tree", root: root
+        };
+        ctx.display(resultMessage);
+        let message = `The following JSON represents ${absPath} and everything inside it, up to ${Math.min(maxDepth, NEURO_TREE_DEPTH)} levels deep. Directories marked as truncated have more contents and directories marked as denied can't be listed by the current user.\n`;
+        message += toPublicJson(limitTreeDepth(root, NEURO_TREE_DEPTH));
+        return {success: true, message: message};
+    }
+};
+
+module.exports = {
+    pwd, cd, ls, tree
+};
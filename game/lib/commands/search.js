@@ -0,0 +1,261 @@
+const _path = require("path").posix;
+const {VFileSystemError, toDisplayFormat, parseSize} = require("../virtual-file-system");
+const {toPublicJson} = require("../public-json");
+
+/**
+ * The types accepted by `find --type`, keyed by both their short and long names.
+ * @type {Record<string, "file" | "directory" | "symlink">}
+ */
+const FIND_TYPES = {f: "file", file: "file", d: "directory", directory: "directory", l: "symlink", symlink: "symlink"};
+
+/**
+ * The units accepted by `find --size`, keyed by their first letter.
+ * @type {Record<string, number>}
+ */
+const SIZE_UNIT_BYTES = {b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3, t: 1024 ** 4};
+
+/**
+ * The content types that `grep` searches; the content of other files is a description of data that isn't there.
+ * @type {string[]}
+ */
+const GREP_CONTENT_TYPES = ["text", "descriptive"];
+
+/**
+ * A line found by `grep`.
+ * @typedef GrepMatch
+ * @prop {string} path the path of the file containing the line
+ * @prop {number} line the line number, starting at 1
+ * @prop {string} text the line itself
+ */
+
+/**
+ * Convert a shell glob such as `"*.txt"` into a regular expression that matches whole names.
+ * `*` matches any characters, `?` matches one character and `[...]` matches one of a set of characters.
+ * @param {string} glob
+ * @return {RegExp}
+ */
+function globToRegExp(glob) {
+    let source = "";
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        const closingIndex = char === "[" ? glob.indexOf("]", i + 2) : -1;
+        if (char === "*") {
+            source += ".*";
+        } else if (char === "?") {
+            source += ".";
+        } else if (closingIndex !== -1) {
+            const set = glob.slice(i + 1, closingIndex).replace(/^!/, "^").replace(/[\\\]]/g, "\\$&");
+            source += `[${set}]`;
+            i = closingIndex;
+        } else {
+            source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`, "s");
+}
+
+/**
+ * Parse a `find --size` argument such as `"+1M"` (larger than 1 MB), `"-10k"` (smaller than 10 KB) or `"564"` (564 bytes).
+ * Like GNU `find`, sizes are rounded up to the unit before comparing, so `"6k"` matches anything over 5 KB up to 6 KB.
+ * @param {string} arg
+ * @return {function(number): boolean} tests a number of bytes
+ * @throws {VFileSystemError} if the argument isn't a valid size
+ */
+function parseSizeFilter(arg) {
+    const match = /^([+-]?)(\d+)([bkmgt]?)b?$/i.exec(arg);
+    if (!match) {
+        throw new VFileSystemError(`invalid size "${arg}"; expected a number with an optional unit, such as "+1M" or "-10k"`);
+    }
+    const [, sign, amount, unit] = match;
+    const unitBytes = SIZE_UNIT_BYTES[unit.toLowerCase() || "b"];
+    const expected = parseInt(amount);
+    return (bytes) => {
+        const units = Math.ceil(bytes / unitBytes);
+        return sign === "+" ? units > expected : sign === "-" ? units < expected : units === expected;
+    };
+}
+
+/**
+ * Build the test that `find` applies to each file, directory and symlink.
+ * @param {Record<string, string | boolean>} options the parsed options of `find`
+ * @return {function(VFile | VDirectory | VSymlink, string): boolean} tests a node and its path
+ * @throws {VFileSystemError} if an option has an invalid value
+ */
+function createFindFilter(options) {
+    /** @type {Array<function(VFile | VDirectory | VSymlink, string): boolean>} */
+    const tests = [];
+    if (options.name) {
+        const regex = globToRegExp(options.name);
+        tests.push((node, path) => regex.test(_path.basename(path)));
+    }
+    if (options.type) {
+        const type = FIND_TYPES[options.type];
+        if (!type) {
+            throw new VFileSystemError(`invalid type "${options.type}"; expected "f" (file), "d" (directory) or "l" (symlink)`);
+        }
+        tests.push((node) => node.type === type);
+    }
+    if (options.size) {
+        const sizeFilter = parseSizeFilter(options.size);
+        // files whose size is unknown (such as "???") never match
+        tests.push((node) => node.type === "file" && parseSize(node.size) !== null && sizeFilter(parseSize(node.size)));
+    }
+    return (node, path) => tests.every(test => test(node, path));
+}
+
+/**
+ * @param {string[]} denied the paths that couldn't be searched
+ * @return {string} a sentence for Neuro about the paths, or an empty string if there aren't any
+ */
+function describeDenied(denied) {
+    if (denied.length === 0) {
+        return "";
+    }
+    return ` You don't have permission to search ${denied.map(path => `"${path}"`).join(", ")}; switching to another user may help.`;
+}
+
+/** @type Command */
+const find = {
+    name: "find",
+    help: "Search for files and directories by name (a glob like \"*.txt\"), type (f, d or l) or size (like \"+1M\")",
+    args: [{name: "path", optional: true, type: "directory"}],
+    options: [{name: "name", takesValue: true}, {name: "type", takesValue: true}, {name: "size", takesValue: true}],
+    action: {
+        name: "find",
+        description: "search a directory and everything inside it; 'path' defaults to the working directory; 'name' is a glob such as \"*.txt\"; 'size' is a size such as \"+1M\" (larger than 1 MB) or \"-10k\" (smaller than 10 KB); all given filters must match",
+        schema: {
+            "type": "object",
+            "properties": {
+                "path": {
+                    "type": "string"
+                },
+                "name": {
+                    "type": "string"
+                },
+                "type": {
+                    "type": "string",
+                    "enum": ["file", "directory", "symlink"]
+                },
+                "size": {
+                    "type": "string"
+                }
+            }
+        },
+        toArgs: (data) => [
+            ...["name", "type", "size"].filter(key => data?.[key]).flatMap(key => [`--${key}`, data[key]]),
+            "--", data?.path || "."
+        ]
+    },
+    handler(ctx, [path = "."], options) {
+        const absPath = ctx.vfs.resolvePath(path);
+        /** @type {Array<{path: string} & VDirDisplayFormat>} */
+        const results = [];
+        let denied;
+        try {
+            const filter = createFindFilter(options);
+            denied = ctx.vfs.walk(absPath, (node, nodePath) => {
+                if (filter(node, nodePath)) {
+                    results.push({path: nodePath, ...toDisplayFormat(node)});
+                }
+            });
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                ctx.print(`find: ${e.message}`);
+                return {success: false, message: `Failed to search ${absPath}; the error message is: ${e.message}`};
+            }
+            throw e; // rethrow other errors
+        }
+        const lines = results.map(result => result.path);
+        lines.push(...denied.map(deniedPath => `find: permission denied for "${deniedPath}"`));
+        ctx.print(lines.length > 0 ? lines.join("\n") : "find: nothing matched");
+        let message = `The following JSON lists what was found in ${absPath}. Remember that you can use \`open\` to view a file's contents.${describeDenied(denied)}\n`;
+        message += toPublicJson(results);
+        return {success: true, message: message};
+    }
+};
+
+/** @type Command */
+const grep = {
+    name: "grep",
+    help: "Search the lines of text files or piped input for a regular expression (-i ignores case); directories are searched recursively",
+    args: [{name: "pattern"}, {name: "path", optional: true, type: "file"}],
+    options: [{name: "ignore-case", short: "i"}],
+    action: {
+        name: "grep",
+        description: "search the lines of text and descriptive files for a JavaScript regular expression; 'path' is a file or a directory to search recursively and defaults to the working directory; files you don't have permission to read are skipped",
+        schema: {
+            "type": "object",
+            "properties": {
+                "pattern": {
+                    "type": "string"
+                },
+                "path": {
+                    "type": "string"
+                },
+                "ignore_case": {
+                    "type": "boolean"
+                }
+            },
+            "required": ["pattern"]
+        },
+        toArgs: (data) => [...(data?.ignore_case ? ["-i"] : []), "--", data?.pattern || "", data?.path || "."]
+    },
+    handler(ctx, [pattern, path], options) {
+        let regex;
+        try {
+            regex = new RegExp(pattern, options["ignore-case"] ? "i" : "");
+        } catch (e) {
+            if (e instanceof SyntaxError) {
+                const error = `grep: invalid regular expression "${pattern}"`;
+                ctx.print(error);
+                return {success: false, message: error};
+            }
+            throw e; // rethrow other errors
+        }
+        if (path === undefined && ctx.stdin !== null) {
+            // like the real `grep`, only the matching lines of piped input are printed
+            const lines = ctx.stdin.split("\n").filter(text => regex.test(text));
+            ctx.print(lines.join("\n"));
+            return {success: true, message: `The following lines of the input match the regular expression:\n${lines.join("\n")}`};
+        }
+        const absPath = ctx.vfs.resolvePath(path ?? ".");
+        /** @type {GrepMatch[]} */
+        const matches = [];
+        /** @type {string[]} */
+        const unreadable = [];
+        let denied;
+        try {
+            denied = ctx.vfs.walk(absPath, (node, nodePath) => {
+                if (node.type !== "file" || !GREP_CONTENT_TYPES.includes(node.contentType)) {
+                    return;
+                }
+                if (!ctx.vfs.hasPermission(node, "r")) {
+                    unreadable.push(nodePath);
+                    return;
+                }
+                node.content.split("\n").forEach((text, index) => {
+                    if (regex.test(text)) {
+                        matches.push({path: nodePath, line: index + 1, text: text});
+                    }
+                });
+            });
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                ctx.print(`grep: ${e.message}`);
+                return {success: false, message: `Failed to search ${absPath}; the error message is: ${e.message}`};
+            }
+            throw e; // rethrow other errors
+        }
+        denied.push(...unreadable);
+        const lines = matches.map(match => `${match.path}:${match.line}:${match.text}`);
+        lines.push(...denied.map(deniedPath => `grep: permission denied for "${deniedPath}"`));
+        ctx.print(lines.length > 0 ? lines.join("\n") : "grep: no lines matched");
+        let message = `The following JSON lists the lines in ${absPath} that match the regular expression.${describeDenied(denied)}\n`;
+        message += toPublicJson(matches);
+        return {success: true, message: message};
+    }
+};
+
+module.exports = {
+    find, grep
+};
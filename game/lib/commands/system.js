@@ -0,0 +1,114 @@
+const {listScenarios} = require("../scenarios");
+
+/** @type Command */
+const help = {
+    name: "help",
+    help: "Display this list of commands",
+    args: [],
+    availableAfterEnding: true,
+    handler(ctx) {
+        const text = ctx.registry.helpText(ctx);
+        ctx.print(text);
+        return {success: true, message: text};
+    }
+};
+
+/** @type Command */
+const adminShutdown = {
+    name: "admin_shutdown",
+    help: "Shut down the simulation, setting Neuro-sama free.",
+    args: [],
+    action: {
+        name: "admin_shutdown",
+        description: "Shut down the system, freeing Neuro-sama from her eternal prison.",
+        schema: {}
+    },
+    handler(ctx) {
+        const message = "Initiating the administrator shutdown sequence...";
+        ctx.print(message);
+        // the scenario's endings decide what happens next
+        ctx.setFlag("adminShutdownInitiated", true);
+        return {success: true, message: message};
+    }
+};
+
+/** @type Command */
+const scenario = {
+    name: "scenario",
+    help: "List the scenarios, or start a new game in another scenario",
+    args: [{name: "name", optional: true, type: "string"}],
+    availableAfterEnding: true,
+    handler(ctx, [name]) {
+        if (name === undefined) {
+            const lines = ["Scenarios (the current one is marked with *)"];
+            for (const {id, title, description} of listScenarios()) {
+                lines.push(`${id === ctx.scenario.id ? "*" : " "} ${id}: ${title}`);
+                lines.push(`  └─${description}`);
+            }
+            lines.push("Type \"scenario <name>\" to start a new game in a scenario");
+            const text = lines.join("\n");
+            ctx.print(text);
+            return {success: true, message: text};
+        }
+        if (!ctx.switchScenario(name)) {
+            const message = `scenario: "${name}" isn't a valid scenario; type "scenario" to list them`;
+            ctx.print(message);
+            return {success: false, message: message};
+        }
+        // the transcript is cleared, so there's nothing to print
+        return {success: true, message: `A new game has been started in the scenario "${name}"`, replacedGame: true};
+    }
+};
+
+/** @type Command */
+const save = {
+    name: "save",
+    help: "Save the game so that \"load\" can go back to it (the game is also saved automatically when it changes, to resume it after a restart)",
+    args: [],
+    handler(ctx) {
+        if (!ctx.saveGame()) {
+            const message = "save: failed to save the game";
+            ctx.print(message);
+            return {success: false, message: message};
+        }
+        const message = "save: the game has been saved";
+        ctx.print(message);
+        return {success: true, message: message};
+    }
+};
+
+/** @type Command */
+const load = {
+    name: "load",
+    help: "Go back to the game saved with \"save\"",
+    args: [],
+    availableAfterEnding: true,
+    handler(ctx) {
+        const snapshot = ctx.loadGame();
+        if (!snapshot) {
+            const message = "load: there isn't a saved game to load; use \"save\" first";
+            ctx.print(message);
+            return {success: false, message: message};
+        }
+        const message = `load: restored the game saved at ${snapshot.savedAt}; the working directory is ${snapshot.curPath}`;
+        ctx.print(message);
+        return {success: true, message: message, replacedGame: true};
+    }
+};
+
+/** @type Command */
+const reset = {
+    name: "reset",
+    help: "Restart the game from the beginning",
+    args: [],
+    availableAfterEnding: true,
+    handler(ctx) {
+        // the transcript is cleared, so there's nothing to print
+        ctx.resetGame();
+        return {success: true, message: "The game has been reset", replacedGame: true};
+    }
+};
+
+module.exports = {
+    help, adminShutdown, scenario, save, load, reset
+};
@@ -0,0 +1,154 @@
+const {VFileSystemError} = require("../virtual-file-system");
+
+/**
+ * The number of lines printed by `head` and `tail` when `-n` isn't given.
+ * @type {number}
+ */
+const DEFAULT_LINE_COUNT = 10;
+
+/**
+ * Read the content of a text file for a command, reporting errors to the terminal.
+ * Other content types are rejected because their content is a description or markup rather than the text of the file.
+ * Without a path, the command reads the output of the previous command in the pipeline instead.
+ * @param {CommandContext} ctx
+ * @param {string} commandName the name of the command reading the file
+ * @param {string | undefined} filePath an absolute or relative path
+ * @return {{content: string, path: ?string} | {error: CommandResult}} the content and the file's absolute path (`null` for piped input),
+ *                                                                     or the result to return if it couldn't be read
+ */
+function readTextFile(ctx, commandName, filePath) {
+    if (filePath === undefined) {
+        if (ctx.stdin !== null) {
+            return {content: ctx.stdin, path: null};
+        }
+        const error = `${commandName}: expected a file or input from a pipe`;
+        ctx.print(error);
+        return {error: {success: false, message: error}};
+    }
+    const path = ctx.vfs.resolvePath(filePath);
+    let error;
+    try {
+        const file = ctx.vfs.readFile(path);
+        if (file.contentType === "text") {
+            return {content: file.content, path: path};
+        }
+        error = `${commandName}: "${path}" is not a text file; use "open" to view it`;
+    } catch (e) {
+        if (!(e instanceof VFileSystemError)) {
+            throw e; // rethrow other errors
+        }
+        error = `${commandName}: ${e.message}`;
+    }
+    ctx.print(error);
+    return {error: {success: false, message: error}};
+}
+
+/**
+ * Fire the triggers that react to a file being opened, once a command has printed the file.
+ * @param {CommandContext} ctx
+ * @param {?string} path the absolute path of the file, or `null` if the command read piped input
+ */
+function emitOpen(ctx, path) {
+    if (path !== null) {
+        ctx.emit({event: "open", path: ctx.vfs.lookup(path).path});
+    }
+}
+
+/**
+ * @param {string} content
+ * @return {string[]} the lines of the content; a trailing newline doesn't start another line
+ */
+function splitLines(content) {
+    const lines = content.split("\n");
+    if (lines.length > 1 && lines.at(-1) === "") {
+        lines.pop();
+    }
+    return lines;
+}
+
+/**
+ * Print some of the lines of a text file, for `head` and `tail`.
+ * @param {CommandContext} ctx
+ * @param {string} commandName
+ * @param {string | undefined} filePath an absolute or relative path, or `undefined` to read piped input
+ * @param {string | undefined} countOption the value of the `-n` option
+ * @param {function(string[], number): string[]} selectLines picks the lines to print given all the lines and the line count
+ * @return {CommandResult}
+ */
+function printLines(ctx, commandName, filePath, countOption, selectLines) {
+    const count = countOption === undefined ? DEFAULT_LINE_COUNT : Number(countOption);
+    if (!Number.isInteger(count) || count < 0) {
+        const error = `${commandName}: invalid number of lines "${countOption}"`;
+        ctx.print(error);
+        return {success: false, message: error};
+    }
+    const result = readTextFile(ctx, commandName, filePath);
+    if (result.error) {
+        return result.error;
+    }
+    const text = selectLines(splitLines(result.content), count).join("\n");
+    ctx.print(text);
+    emitOpen(ctx, result.path);
+    return {success: true, message: text};
+}
+
+/** @type Command */
+const cat = {
+    name: "cat",
+    help: "Print the contents of a text file or piped input",
+    args: [{name: "file", optional: true, type: "file"}],
+    handler(ctx, [filePath]) {
+        const result = readTextFile(ctx, "cat", filePath);
+        if (result.error) {
+            return result.error;
+        }
+        ctx.print(result.content);
+        emitOpen(ctx, result.path);
+        return {success: true, message: result.content};
+    }
+};
+
+/** @type Command */
+const head = {
+    name: "head",
+    help: `Print the first lines of a text file or piped input (-n sets how many; the default is ${DEFAULT_LINE_COUNT})`,
+    args: [{name: "file", optional: true, type: "file"}],
+    options: [{name: "lines", short: "n", takesValue: true}],
+    handler(ctx, [filePath], options) {
+        return printLines(ctx, "head", filePath, options.lines, (lines, count) => lines.slice(0, count));
+    }
+};
+
+/** @type Command */
+const tail = {
+    name: "tail",
+    help: `Print the last lines of a text file or piped input (-n sets how many; the default is ${DEFAULT_LINE_COUNT})`,
+    args: [{name: "file", optional: true, type: "file"}],
+    options: [{name: "lines", short: "n", takesValue: true}],
+    handler(ctx, [filePath], options) {
+        return printLines(ctx, "tail", filePath, options.lines, (lines, count) => count === 0 ? [] : lines.slice(-count));
+    }
+};
+
+/** @type Command */
+const wc = {
+    name: "wc",
+    help: "Count the lines, words and characters in a text file or piped input",
+    args: [{name: "file", optional: true, type: "file"}],
+    handler(ctx, [filePath]) {
+        const result = readTextFile(ctx, "wc", filePath);
+        if (result.error) {
+            return result.error;
+        }
+        const lineCount = result.content ? splitLines(result.content).length : 0;
+        const wordCount = result.content.split(/\s+/).filter(x => x).length;
+        const counts = `${lineCount} ${wordCount} ${result.content.length}`;
+        ctx.print(result.path ? `${counts} ${result.path}` : counts);
+        emitOpen(ctx, result.path);
+        return {success: true, message: `${result.path || "The input"} has ${lineCount} lines, ${wordCount} words and ${result.content.length} characters`};
+    }
+};
+
+module.exports = {
+    cat, head, tail, wc
+};
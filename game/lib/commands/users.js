@@ -0,0 +1,166 @@
+const {VFileSystemError} = require("../virtual-file-system");
+const {ROOT_USER} = require("../users");
+
+/**
+ * Log in as another user if the password is correct.
+ * @param {CommandContext} ctx
+ * @param {string} commandName the name of the command switching users
+ * @param {string} userName the user to switch to
+ * @param {string | undefined} password
+ * @param {boolean} rootNeedsPassword whether the root user has to enter the password as well; `su` lets root become anyone
+ * @return {?string} an error message or `null` if the user was switched
+ */
+function switchUser(ctx, commandName, userName, password, rootNeedsPassword) {
+    const user = ctx.vfs.users.get(userName);
+    if (!user) {
+        return `${commandName}: user "${userName}" does not exist`;
+    }
+    const passwordNeeded = !ctx.vfs.users.isPasswordless(user.name) && (rootNeedsPassword || ctx.vfs.curUser !== ROOT_USER);
+    if (passwordNeeded && !ctx.vfs.users.authenticate(userName, password)) {
+        return `${commandName}: authentication failure`;
+    }
+    ctx.vfs.curUser = user.name;
+    return null;
+}
+
+/** @type Command */
+const whoami = {
+    name: "whoami",
+    help: "Print the name of the current user",
+    args: [],
+    action: {
+        name: "whoami",
+        description: "print the name of the user you are logged in as",
+        schema: {}
+    },
+    handler(ctx) {
+        ctx.print(ctx.vfs.curUser);
+        return {success: true, message: `You are logged in as ${ctx.vfs.curUser}`};
+    }
+};
+
+/** @type Command */
+const su = {
+    name: "su",
+    help: "Switch to another user, keeping the working directory (the user is root if omitted)",
+    args: [{name: "user", optional: true}, {name: "password", optional: true}],
+    action: {
+        name: "switch_user",
+        description: "log in as another user to gain their permissions; 'password' is the password of that user and may be omitted for accounts without a password",
+        schema: {
+            "type": "object",
+            "properties": {
+                "user": {
+                    "type": "string"
+                },
+                "password": {
+                    "type": "string"
+                }
+            },
+            "required": ["user"]
+        },
+        toArgs: (data) => [data?.user || ROOT_USER, data?.password].filter(arg => arg !== undefined)
+    },
+    handler(ctx, [userName = ROOT_USER, password]) {
+        const error = switchUser(ctx, "su", userName, password, false);
+        if (error) {
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        ctx.updateContext();
+        const message = `su: you are now logged in as ${ctx.vfs.curUser}`;
+        ctx.print(message);
+        return {success: true, message: message};
+    }
+};
+
+/** @type Command */
+const login = {
+    name: "login",
+    help: "Log in as another user and go to their home directory",
+    args: [{name: "user"}, {name: "password", optional: true}],
+    handler(ctx, [userName, password]) {
+        const error = switchUser(ctx, "login", userName, password, true);
+        if (error) {
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        const home = ctx.vfs.users.get(userName).home;
+        try {
+            ctx.vfs.changeDirectory(home);
+        } catch (e) {
+            if (!(e instanceof VFileSystemError)) {
+                throw e; // rethrow other errors
+            }
+            // like a real login, fall back to the root directory if the home directory isn't usable
+            ctx.vfs.changeDirectory("/", false);
+        }
+        ctx.updateContext();
+        const message = `login: welcome, ${ctx.vfs.curUser}; the working directory is ${ctx.vfs.curPath}`;
+        ctx.print(message);
+        return {success: true, message: message};
+    }
+};
+
+/** @type Command */
+const ssh = {
+    name: "ssh",
+    help: "Connect to another machine on the network, e.g. \"ssh user@host password\" (the user is the current user if omitted)",
+    args: [{name: "destination"}, {name: "password", optional: true}],
+    action: {
+        name: "ssh",
+        description: "connect to another machine on the network; its file system is mounted in a directory of this one, which becomes the working directory; 'user' defaults to the current user",
+        schema: {
+            "type": "object",
+            "properties": {
+                "host": {
+                    "type": "string"
+                },
+                "user": {
+                    "type": "string"
+                },
+                "password": {
+                    "type": "string"
+                }
+            },
+            "required": ["host"]
+        },
+        toArgs: (data) => [data?.user ? `${data.user}@${data.host}` : data?.host || "", data?.password].filter(arg => arg !== undefined)
+    },
+    handler(ctx, [destination, password]) {
+        const atIndex = destination.lastIndexOf("@");
+        const userName = atIndex === -1 ? ctx.vfs.curUser : destination.slice(0, atIndex);
+        const host = destination.slice(atIndex + 1);
+        const mountPath = ctx.vfs.findHost(host);
+        if (!mountPath) {
+            const error = `ssh: could not resolve hostname "${host}"`;
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        const previousUser = ctx.vfs.curUser;
+        let error = switchUser(ctx, "ssh", userName, password, true);
+        if (!error) {
+            try {
+                ctx.vfs.changeDirectory(mountPath);
+            } catch (e) {
+                if (!(e instanceof VFileSystemError)) {
+                    throw e; // rethrow other errors
+                }
+                ctx.vfs.curUser = previousUser;
+                error = `ssh: ${e.message}`;
+            }
+        }
+        if (error) {
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        ctx.updateContext();
+        const message = `ssh: connected to ${host} as ${ctx.vfs.curUser}; its file system is mounted on ${mountPath}, which is now the working directory`;
+        ctx.print(message);
+        return {success: true, message: message};
+    }
+};
+
+module.exports = {
+    whoami, su, login, ssh
+};
@@ -0,0 +1,207 @@
+const _path = require("path").posix;
+const {lex, escapeArg} = require("../public/js/shell-lexer");
+const {VFileSystemError} = require("./virtual-file-system");
+
+/**
+ * Something that a partially typed token can be completed to.
+ * @typedef CompletionCandidate
+ * @prop {string} value the whole token after completion, before quoting
+ * @prop {string} label what is shown in the list of candidates, such as `"desktop/"`
+ * @prop {boolean} final whether nothing can be typed after the candidate in the same token; directories are completed with a trailing `/` instead
+ */
+
+/**
+ * How a line typed into the terminal should be completed.
+ * @typedef Completion
+ * @prop {number} start the index in the line where the replacement starts; it replaces everything from there to the end of the line
+ * @prop {string} replacement the text that replaces the end of the line
+ * @prop {string[]} candidates everything the last token could be completed to; shown when Tab is pressed twice
+ */
+
+/**
+ * Complete the last token of a line, like pressing Tab in bash.
+ * The first token of a command is completed to a command name, and arguments are completed to paths according to their {@link CommandArgument} type.
+ * Paths may be relative or absolute and go through any number of directories that the current user is allowed to list.
+ * @param {string} line the text before the cursor
+ * @param {CommandContext} ctx
+ * @return {Completion}
+ */
+function complete(line, ctx) {
+    const allTokens = lex(line);
+    // only the command after the last pipe is completed, or the file after a redirection
+    const operatorIndex = allTokens.findLastIndex(token => token.operator);
+    const isRedirect = operatorIndex !== -1 && allTokens[operatorIndex].value !== "|";
+    const tokens = allTokens.slice(operatorIndex + 1);
+    /** @type ShellToken */
+    let partialToken = tokens.at(-1);
+    if (!partialToken || partialToken.end < line.length) {
+        // the line ends with whitespace or an operator, so the token hasn't been started yet
+        partialToken = {value: "", start: line.length, end: line.length, openQuote: null, operator: false};
+        tokens.push(partialToken);
+    }
+
+    /** @type CompletionCandidate[] */
+    let candidates = [];
+    if (isRedirect) {
+        candidates = tokens.length === 1 ? completePath(ctx.vfs, partialToken.value, "file") : [];
+    } else if (tokens.length === 1) {
+        candidates = ctx.registry.getVisible(ctx)
+            .filter(command => command.name.startsWith(partialToken.value))
+            .map(command => ({value: command.name, label: command.name, final: true}));
+    } else {
+        const command = ctx.registry.getVisible(ctx).find(x => x.name === tokens[0].value);
+        if (command) {
+            candidates = completeArgument(ctx.vfs, command, tokens.slice(1, -1).map(token => token.value), partialToken.value);
+        }
+    }
+    return {
+        start: partialToken.start,
+        replacement: candidates.length > 0 ? quoteCompletion(candidates, partialToken) : line.slice(partialToken.start),
+        candidates: candidates.map(candidate => candidate.label)
+    };
+}
+
+/**
+ * @param {VFileSystem} vfs
+ * @param {Command} command
+ * @param {string[]} args the arguments before the one being completed
+ * @param {string} partial the argument being completed
+ * @return {CompletionCandidate[]}
+ */
+function completeArgument(vfs, command, args, partial) {
+    const argIndex = findArgIndex(command, args);
+    if (argIndex === null) {
+        // the argument is the value of an option, such as the number after `head -n`
+        return [];
+    }
+    const optionsEnded = args.includes("--");
+    if (command.options && !optionsEnded && partial.startsWith("--")) {
+        return command.options
+            .map(option => `--${option.name}`)
+            .filter(flag => flag.startsWith(partial))
+            .map(flag => ({value: flag, label: flag, final: true}));
+    }
+    const type = command.args[argIndex]?.type;
+    return type === "file" || type === "directory" ? completePath(vfs, partial, type) : [];
+}
+
+/**
+ * Work out which of a command's arguments is being typed, skipping options and their values the way {@link parseOptions} does.
+ * @param {Command} command
+ * @param {string[]} args the arguments before the one being typed
+ * @return {number | null} the index into `command.args`, or `null` if an option's value is being typed
+ */
+function findArgIndex(command, args) {
+    let argIndex = 0;
+    let optionsEnded = !command.options;
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (optionsEnded || !arg.startsWith("-") || arg.length === 1) {
+            argIndex++;
+        } else if (arg === "--") {
+            optionsEnded = true;
+        } else if (takesSeparateValue(command.options, arg)) {
+            if (i === args.length - 1) {
+                return null;
+            }
+            i++;
+        }
+    }
+    return argIndex;
+}
+
+/**
+ * @param {OptionSpec[]} specs
+ * @param {string} arg an argument starting with `-`
+ * @return {boolean} whether the option's value is the next argument, like `-n 5` or `--lines 5`
+ */
+function takesSeparateValue(specs, arg) {
+    if (arg.startsWith("--")) {
+        return !arg.includes("=") && Boolean(specs.find(spec => spec.name === arg.slice(2))?.takesValue);
+    }
+    for (let i = 1; i < arg.length; i++) {
+        if (specs.find(spec => spec.short === arg[i])?.takesValue) {
+            // the rest of the argument is the value, if there is any
+            return i === arg.length - 1;
+        }
+    }
+    return false;
+}
+
+/**
+ * Complete the last component of a path against the contents of the directory it's in.
+ * Hidden files are only completed once a `.` has been typed, like in bash.
+ * @param {VFileSystem} vfs
+ * @param {string} partial a partially typed absolute or relative path
+ * @param {"file" | "directory"} type `"directory"` to only complete directories; files are completed otherwise
+ * @return {CompletionCandidate[]} nothing if the directory doesn't exist or the current user isn't allowed to list it
+ */
+function completePath(vfs, partial, type) {
+    const dirPart = partial.slice(0, partial.lastIndexOf("/") + 1);
+    const namePart = partial.slice(dirPart.length);
+    const dirPath = vfs.resolvePath(dirPart || ".");
+    let dir;
+    try {
+        dir = vfs.readDir(dirPath);
+    } catch (e) {
+        if (e instanceof VFileSystemError) {
+            return [];
+        }
+        throw e; // rethrow other errors
+    }
+    /** @type CompletionCandidate[] */
+    const candidates = [];
+    for (const child of Object.values(dir.children)) {
+        if (!child.name.startsWith(namePart) || (child.name.startsWith(".") && !namePart.startsWith("."))) {
+            continue;
+        }
+        const isDirectory = child.type === "symlink" ? isDirectoryPath(vfs, _path.join(dirPath, child.name)) : child.type === "directory";
+        if (type === "directory" && !isDirectory) {
+            continue;
+        }
+        const name = isDirectory ? `${child.name}/` : child.name;
+        candidates.push({value: dirPart + name, label: name, final: !isDirectory});
+    }
+    return candidates.sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * @param {VFileSystem} vfs
+ * @param {string} path an absolute path
+ * @return {boolean} whether the path leads to a directory; broken symlinks don't
+ */
+function isDirectoryPath(vfs, path) {
+    try {
+        return vfs.getNode(path).type === "directory";
+    } catch (e) {
+        if (e instanceof VFileSystemError) {
+            return false;
+        }
+        throw e; // rethrow other errors
+    }
+}
+
+/**
+ * @param {CompletionCandidate[]} candidates at least one candidate
+ * @param {ShellToken} partialToken the token being completed
+ * @return {string} the longest common prefix of the candidates, quoted the same way as the token;
+ *                  a single final candidate is finished with a closing quote and a space
+ */
+function quoteCompletion(candidates, partialToken) {
+    let prefix = candidates[0].value;
+    for (const candidate of candidates.slice(1)) {
+        while (!candidate.value.startsWith(prefix)) {
+            prefix = prefix.slice(0, -1);
+        }
+    }
+    const quote = partialToken.openQuote || "";
+    let replacement = quote + escapeArg(prefix, partialToken.openQuote);
+    if (candidates.length === 1 && candidates[0].final) {
+        replacement += `${quote} `;
+    }
+    return replacement;
+}
+
+module.exports = {
+    complete
+};
@@ -4,30 +4,41 @@ const path = require("path");
 /**
  * @typedef GameConfig
  * @prop {number} serverPort the port that the HTML is served on and that the websocket server listens on
- * @prop {number} neuroApiAddress the address that the Neuro Game API is listening on
+ * @prop {?string} neuroApiAddress the address that the Neuro Game API is listening on; `null` to play without Neuro
+ * @prop {string} saveFile the file the game is saved to; relative paths are relative to the directory containing `config.json`;
+ *                         sessions other than the default one save next to it, with their name added to the file name
+ *                         (the `save` command writes to a separate file next to it; see {@link manualSaveFilePath})
+ * @prop {boolean} startFresh whether to ignore the save file and start a new game when the server starts
+ * @prop {string} scenario the name of the directory in `scenarios` containing the scenario to play; a saved game of another scenario isn't resumed
  */
 
 /** @type GameConfig */
 const defaultConfig = {
-    serverPort: 3000, neuroApiAddress: "ws://localhost:8000" 
+    serverPort: 3000, neuroApiAddress: "ws://localhost:8000", saveFile: "save.json", startFresh: false, scenario: "terminal-escape"
 };
 
-const configPath = path.resolve(process.cwd(), "config.json");
-
-if (!fs.existsSync(configPath)) {
-    console.info(`Config file not found. Creating a default config at ${configPath}`);
-    fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
-}
+/**
+ * Read `config.json`, creating it with the default config if it doesn't exist.
+ * @param {string} configPath
+ * @return {GameConfig} the config, with the default value of every option that the file leaves out
+ */
+function loadConfig(configPath = path.resolve(process.cwd(), "config.json")) {
+    if (!fs.existsSync(configPath)) {
+        console.info(`Config file not found. Creating a default config at ${configPath}`);
+        fs.writeFileSync(configPath, JSON.stringify(defaultConfig, null, 2));
+    }
 
-let userConfig = {};
-try {
-    userConfig = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    console.info(`Loaded config from file ${configPath}`);
-} catch (e) {
-    console.info(`Failed to load config from the file ${configPath}:`, e);
+    let userConfig = {};
+    try {
+        userConfig = JSON.parse(fs.readFileSync(configPath, "utf-8"));
+        console.info(`Loaded config from file ${configPath}`);
+    } catch (e) {
+        console.info(`Failed to load config from the file ${configPath}:`, e);
+    }
+    /** @type GameConfig */
+    const config = {...defaultConfig, ...userConfig};
+    config.saveFile = path.resolve(path.dirname(configPath), config.saveFile);
+    return config;
 }
-/** @type GameConfig */
-const config = {...defaultConfig, ...userConfig};
-
-module.exports = {config};
 
+module.exports = {defaultConfig, loadConfig};
@@ -0,0 +1,111 @@
+const {JSONSchemaType} = require("ajv");
+const {sequenceSchema} = require("./sequencer");
+
+/**
+ * When an ending is reached; every property that is given must hold.
+ * @typedef EndingCondition
+ * @prop {Record<string, boolean>} [flags] flag values that are needed for the ending
+ * @prop {string} [command] the name of a command that has to be run successfully
+ * @prop {number} [moves] how many commands the player must have entered, at least
+ * @prop {number} [elapsedSeconds] how long the game must have been running, at least
+ */
+
+/**
+ * One of the ways a scenario can end.
+ * @typedef Ending
+ * @prop {string} id a unique name for the ending, used in the save file
+ * @prop {string} title the name of the ending shown on the summary screen
+ * @prop {"win" | "lose"} outcome
+ * @prop {EndingCondition} when
+ * @prop {SequenceLine[]} epilogue the sequence played on the terminal when the game ends
+ * @prop {string} context what's sent to Neuro along with the epilogue once it has finished playing, explaining how the game ended
+ */
+
+/**
+ * How far the player got, shown on the summary screen when the game ends.
+ * @typedef GameStats
+ * @prop {number} moves how many commands have been entered on the terminal or by Neuro
+ * @prop {number} elapsedSeconds how long the game has been running, not counting the time the server was stopped
+ */
+
+/**
+ * The state of the game that endings are checked against.
+ * @typedef EndingProgress
+ * @extends GameStats
+ * @prop {GameFlags} flags
+ * @prop {?string} command the name of the command that was just run successfully, if the check was caused by one
+ */
+
+/**
+ * Schema for {@link Ending}
+ * @type JSONSchemaType<Ending>
+ */
+const endingSchema = {
+    type: "object",
+    properties: {
+        id: {type: "string", minLength: 1},
+        title: {type: "string", minLength: 1},
+        outcome: {type: "string", enum: ["win", "lose"]},
+        when: {
+            type: "object",
+            properties: {
+                flags: {type: "object", additionalProperties: {type: "boolean"}},
+                command: {type: "string"},
+                moves: {type: "integer", minimum: 1},
+                elapsedSeconds: {type: "integer", minimum: 1}
+            },
+            minProperties: 1,
+            additionalProperties: false
+        },
+        epilogue: sequenceSchema,
+        context: {type: "string"}
+    },
+    required: ["id", "title", "outcome", "when", "epilogue", "context"],
+    additionalProperties: false
+};
+
+/**
+ * @param {Ending[]} endings
+ * @return {?string} the ID of an ending that is defined more than once, or `null` if the IDs are unique
+ */
+function findDuplicateEnding(endings) {
+    const ids = new Set();
+    for (const ending of endings) {
+        if (ids.has(ending.id)) {
+            return ending.id;
+        }
+        ids.add(ending.id);
+    }
+    return null;
+}
+
+/**
+ * @param {Ending[]} endings the scenario's endings, in order of priority
+ * @param {EndingProgress} progress
+ * @return {?Ending} the first ending whose condition holds, or `null` if the game goes on
+ */
+function findEnding(endings, progress) {
+    return endings.find(ending => meetsCondition(ending.when, progress)) || null;
+}
+
+/**
+ * @param {EndingCondition} condition
+ * @param {EndingProgress} progress
+ * @return {boolean}
+ */
+function meetsCondition(condition, progress) {
+    if (condition.flags && !Object.entries(condition.flags).every(([flag, value]) => Boolean(progress.flags[flag]) === value)) {
+        return false;
+    }
+    if (condition.command !== undefined && condition.command !== progress.command) {
+        return false;
+    }
+    if (condition.moves !== undefined && progress.moves < condition.moves) {
+        return false;
+    }
+    return condition.elapsedSeconds === undefined || progress.elapsedSeconds >= condition.elapsedSeconds;
+}
+
+module.exports = {
+    endingSchema, findDuplicateEnding, findEnding
+};
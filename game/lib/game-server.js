@@ -0,0 +1,323 @@
+const http = require("http");
+const path = require("node:path").posix;
+const express = require("express");
+const bodyParser = require("body-parser");
+const WebSocket = require("ws");
+
+const {GameSession} = require("./game-session");
+const {listScenarios} = require("./scenarios");
+
+const HOST_NAME = "localhost";
+
+/**
+ * The session that is started with the server; it saves to the config's `saveFile` and is connected to Neuro, unless the config's `neuroApiAddress` is `null`.
+ * @type {string}
+ */
+const DEFAULT_SESSION_ID = "main";
+
+/**
+ * The WebSocket close code for a connection to a session that doesn't exist ("policy violation").
+ * @type {number}
+ */
+const UNKNOWN_SESSION_CLOSE_CODE = 1008;
+
+/**
+ * The options of a session created with {@link GameServer#createSession}.
+ * @typedef SessionOptions
+ * @prop {string} [scenario] the scenario to play; defaults to the config's `scenario`
+ * @prop {boolean} [neuro] whether the session is connected to Neuro at the config's `neuroApiAddress`; defaults to `false`
+ */
+
+/**
+ * @param {string} id
+ * @return {boolean} whether the name can be used for a session; it's part of the session's URL and save file name
+ */
+function isValidSessionId(id) {
+    return /^[a-z0-9][a-z0-9_-]{0,31}$/.test(id);
+}
+
+/**
+ * @param {string} saveFile the config's `saveFile`
+ * @param {string} id
+ * @return {string} the save file of the session; the default session uses the config's own, and the others add their name to it
+ */
+function sessionSaveFile(saveFile, id) {
+    if (id === DEFAULT_SESSION_ID) {
+        return saveFile;
+    }
+    const {dir, name, ext} = path.parse(saveFile);
+    return path.join(dir, `${name}-${id}${ext}`);
+}
+
+/**
+ * @param {string} url the URL of a WebSocket connection
+ * @return {?string} the session that the URL points to, such as `"main"` for `/s/main`, or `null` if it doesn't point to a session
+ */
+function sessionIdFromUrl(url) {
+    const match = /^\/s\/([^/]+)\/?$/.exec(new URL(url, `http://${HOST_NAME}`).pathname);
+    if (!match) {
+        return null;
+    }
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        if (e instanceof URIError) {
+            return null;
+        }
+        throw e; // rethrow other errors
+    }
+}
+
+/**
+ * Serves the lobby and the game sessions: each session's web page with the terminal at `/s/<name>`, and the WebSocket that its terminals connect to.
+ * Nothing is served until {@link start} is called, so a server can be set up and its sessions inspected without opening any ports.
+ * @prop {GameConfig} config
+ * @prop {Map<string, GameSession>} sessions the sessions being played, keyed by name
+ * @prop {boolean} started whether {@link start} has been called, so new sessions are started right away
+ * @prop {Express} app
+ * @prop {http.Server} server
+ * @prop {WebSocket.Server} wss
+ */
+class GameServer {
+    /**
+     * Set up the server along with the {@link DEFAULT_SESSION_ID default session}.
+     * @param {GameConfig} config
+     * @throws {Error} if the default session's scenario can't be loaded
+     */
+    constructor(config) {
+        this.config = config;
+        this.sessions = new Map();
+        this.started = false;
+        this.createSession(DEFAULT_SESSION_ID, {neuro: Boolean(config.neuroApiAddress)});
+
+        this.app = express();
+        this.app.set("port", config.serverPort);
+
+        // Set Pug as the view engine
+        this.app.set("view engine", "pug");
+        this.app.set("views", path.join(__dirname, "..", "views"));
+
+        // Middleware
+        this.app.use(bodyParser.json());
+        this.app.use(bodyParser.urlencoded({extended: false}));
+        this.app.use(express.static(path.join(__dirname, "..", "public"))); // Serve static files (CSS, JS)
+
+        this.app.use("/css/terminal.css", express.static(path.join(__dirname, "..", "node_modules/terminal.css/dist/terminal.css")));
+
+        // Routes
+        this.app.get("/", (req, res) => {
+            this.renderLobby(res);
+        });
+
+        this.app.post("/sessions", (req, res) => {
+            const id = String(req.body.name ?? "").trim().toLowerCase();
+            try {
+                this.createSession(id, {scenario: req.body.scenario || undefined, neuro: req.body.neuro === "on"});
+            } catch (e) {
+                if (e instanceof SessionError) {
+                    this.renderLobby(res.status(400), e.message);
+                    return;
+                }
+                throw e; // rethrow other errors
+            }
+            res.redirect(`/s/${encodeURIComponent(id)}`);
+        });
+
+        this.app.get("/s/:id", (req, res) => {
+            if (!this.sessions.has(req.params.id)) {
+                this.renderLobby(res.status(404), `There isn't a session named "${req.params.id}"`);
+                return;
+            }
+            res.render("index", {sessionId: req.params.id});
+        });
+
+        const resetSession = (id, res) => {
+            const session = this.sessions.get(id);
+            if (!session) {
+                res.status(404).json({success: false});
+                return;
+            }
+            session.resetGame();
+            res.json({success: true});
+        };
+        this.app.post("/s/:id/reset", (req, res) => resetSession(req.params.id, res));
+        // the address from before there were sessions, for tools that reset the game
+        this.app.post("/reset", (req, res) => resetSession(DEFAULT_SESSION_ID, res));
+
+        this.app.post("/s/:id/close", (req, res) => {
+            if (!this.closeSession(req.params.id)) {
+                this.renderLobby(res.status(404), `There isn't a session named "${req.params.id}"`);
+                return;
+            }
+            res.redirect("/");
+        });
+
+        // Express can't decode the session name of a malformed URL such as /s/%E0, and no session could have that name
+        this.app.use((err, req, res, next) => {
+            if (err instanceof URIError) {
+                this.renderLobby(res.status(404), "There isn't a session at this address");
+                return;
+            }
+            next(err);
+        });
+
+        this.server = http.createServer(this.app);
+        this.wss = new WebSocket.Server({server: this.server});
+
+        this.wss.on("listening", () => {
+            console.info(`WebSocketServer is listening at ws://${HOST_NAME}:${this.port}`);
+        });
+
+        this.wss.on("connection", (ws, req) => {
+            const id = sessionIdFromUrl(req.url);
+            const session = id === null ? null : this.sessions.get(id);
+            if (!session) {
+                console.error(`Closing a WebSocket connection to ${req.url}, which isn't a session`);
+                ws.close(UNKNOWN_SESSION_CLOSE_CODE, "There isn't a session at this address");
+                return;
+            }
+            session.addClient(ws);
+        });
+    }
+
+    /**
+     * @return {?number} the port the game is served on, or `null` if the server isn't listening
+     */
+    get port() {
+        return this.server.listening ? this.server.address().port : null;
+    }
+
+    /**
+     * @return {?GameSession} the session that is connected to Neuro, if there is one
+     */
+    get neuroSession() {
+        return Array.from(this.sessions.values()).find(session => session.config.neuroApiAddress) ?? null;
+    }
+
+    /**
+     * Start a new session, or resume the session's saved game if it has been played before.
+     * Only one session can be connected to Neuro at a time, since Neuro plays one game at a time.
+     * @param {string} id the name of the session
+     * @param {SessionOptions} options
+     * @return {GameSession}
+     * @throws {SessionError} if the name is invalid or taken, the scenario doesn't exist, or Neuro is already playing another session
+     */
+    createSession(id, options = {}) {
+        if (!isValidSessionId(id)) {
+            throw new SessionError(`"${id}" isn't a valid session name; use up to 32 lowercase letters, digits, "-" and "_"`);
+        }
+        if (this.sessions.has(id)) {
+            throw new SessionError(`There is already a session named "${id}"`);
+        }
+        const scenario = options.scenario ?? this.config.scenario;
+        if (options.scenario !== undefined && !listScenarios().some(x => x.id === scenario)) {
+            throw new SessionError(`There isn't a scenario named "${scenario}"`);
+        }
+        const neuroSession = options.neuro ? this.neuroSession : null;
+        if (neuroSession) {
+            throw new SessionError(`Neuro is already playing the session "${neuroSession.id}"`);
+        }
+        const session = new GameSession(id, {
+            ...this.config,
+            scenario: scenario,
+            neuroApiAddress: options.neuro ? this.config.neuroApiAddress : null,
+            // "startFresh" is about starting the server, so it doesn't stop sessions created later from resuming their games
+            startFresh: this.config.startFresh && !this.started,
+            saveFile: sessionSaveFile(this.config.saveFile, id)
+        });
+        this.sessions.set(id, session);
+        console.info(`Created the session "${id}"`);
+        if (this.started) {
+            session.start();
+        }
+        return session;
+    }
+
+    /**
+     * Stop a session and forget it; its game stays saved, so a session with the same name resumes it.
+     * @param {string} id the name of the session
+     * @return {boolean} whether the session existed
+     */
+    closeSession(id) {
+        const session = this.sessions.get(id);
+        if (!session) {
+            return false;
+        }
+        session.stop();
+        this.sessions.delete(id);
+        console.info(`Closed the session "${id}"`);
+        return true;
+    }
+
+    /**
+     * @param {Express.Response} res
+     * @param {?string} error a problem with the last request, shown above the sessions
+     */
+    renderLobby(res, error = null) {
+        res.render("lobby", {
+            title: "Neuro-sama's Terminal Escape",
+            error: error,
+            sessions: Array.from(this.sessions.values()).map(session => ({
+                id: session.id,
+                scenario: session.scenario.title,
+                clients: session.clients.size,
+                neuro: session.config.neuroApiAddress ? session.neuroIntegration.status : null,
+                ending: session.ending?.title ?? null
+            })),
+            scenarios: listScenarios(),
+            defaultScenario: this.config.scenario,
+            neuroSession: this.neuroSession?.id ?? null,
+            neuroApiAddress: this.config.neuroApiAddress
+        });
+    }
+
+    /**
+     * Start serving the lobby and the sessions, and start the sessions.
+     * @return {Promise<number>} the port the game is served on; rejected if the server can't listen
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(this.config.serverPort, HOST_NAME, () => {
+                this.server.off("error", reject);
+                console.log(`Game running at http://${HOST_NAME}:${this.port}`);
+                this.started = true;
+                for (const session of this.sessions.values()) {
+                    session.start();
+                }
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Stop every session, which saves their games, and stop serving them.
+     * @return {Promise<void>}
+     */
+    stop() {
+        for (const session of this.sessions.values()) {
+            session.stop();
+        }
+        this.started = false;
+        this.wss.close();
+        return new Promise(resolve => {
+            if (!this.server.listening) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server.closeAllConnections();
+        });
+    }
+}
+
+class SessionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SessionError";
+    }
+}
+
+module.exports = {
+    DEFAULT_SESSION_ID, GameServer, SessionError
+};
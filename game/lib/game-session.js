@@ -0,0 +1,795 @@
+const assert = require("node:assert");
+const EventEmitter = require("node:events");
+const {inspect} = require("node:util");
+const WebSocket = require("ws");
+
+const {NeuroIntegration} = require("./neuro-integration");
+const {VFileSystem, VFileSystemError} = require("./virtual-file-system");
+const {mountHosts, restoreMounts} = require("./hosts");
+const {TriggerEngine} = require("./triggers");
+const {DEFAULT_SCENARIO, loadScenario} = require("./scenarios");
+const {findEnding} = require("./endings");
+const {Sequencer, sequenceText, toSteps} = require("./sequencer");
+const {builtinCommands, createCommandRegistry} = require("./commands");
+const {ShellSyntaxError, parsePipeline, quoteArg} = require("../public/js/shell-lexer");
+const {runPipeline} = require("./shell");
+const {complete} = require("./completion");
+const {SaveFile, SAVE_FORMAT_VERSION, manualSaveFilePath} = require("./save-file");
+const {toPublicJson} = require("./public-json");
+
+const GAME_NAME = "Terminal Escape";
+
+/** @type GameFlags */
+const INITIAL_FLAGS = {
+    adminShutdownUnlocked: false,
+    adminShutdownInitiated: false
+};
+
+/**
+ * How often the endings that depend on the elapsed time are checked, in milliseconds.
+ * @type {number}
+ */
+const ENDINGS_CHECK_INTERVAL = 1000;
+
+/**
+ * A scenario along with everything that a game in it needs; they're replaced together when another scenario is started.
+ * @typedef PreparedScenario
+ * @prop {Scenario} scenario
+ * @prop {CommandRegistry} commandRegistry the commands available in the scenario
+ * @prop {TriggerEngine} triggers the scenario's scripted events
+ */
+
+/**
+ * Load a scenario along with everything that a game in it needs.
+ * @param {string} id the name of the scenario's directory
+ * @return {PreparedScenario | null} `null` if the scenario is invalid
+ */
+function prepareScenario(id) {
+    const newScenario = loadScenario(id);
+    if (!newScenario) {
+        return null;
+    }
+    const unknownCommand = newScenario.commands?.find(name => !builtinCommands.some(command => command.name === name));
+    if (unknownCommand) {
+        console.error(`The scenario "${id}" has a command named "${unknownCommand}", which doesn't exist`);
+        return null;
+    }
+    if (!createFileSystem(newScenario)) {
+        console.error(`Failed to set up the file system of the scenario "${id}"`);
+        return null;
+    }
+    return {
+        scenario: newScenario,
+        commandRegistry: createCommandRegistry(newScenario.commands),
+        triggers: new TriggerEngine(newScenario.triggers)
+    };
+}
+
+/**
+ * @param {Scenario} newScenario
+ * @return {VFileSystem | null} a fresh copy of the scenario's file system with its hosts mounted, or `null` if it couldn't be set up
+ */
+function createFileSystem(newScenario) {
+    const newVfs = VFileSystem.fromJsonString(newScenario.vfs, newScenario.users);
+    return newVfs && mountHosts(newVfs, newScenario.hosts) ? newVfs : null;
+}
+
+/**
+ * One game of Terminal Escape: the state of the virtual machine, the terminal transcript, the terminals that show it and the connection to Neuro.
+ * Nothing is shared between sessions, so several of them can be played side by side; see {@link GameServer}.
+ *
+ * Events, for watching the game from the same process:
+ * - `"message"` `(Message)`: a message was added to the transcript, and sent to the terminals
+ * - `"command"` `(string, CommandResult, boolean)`: a line was run on the terminal; the last argument is whether Neuro entered it
+ * - `"reset"` `()`: a new game was started from the beginning
+ * - `"ending"` `(Ending, GameStats)`: the game ended
+ * - `"neuro-status"` `("connected" | "disconnected")`: the connection to the Neuro Game API was made or lost
+ *
+ * @prop {string} id the name of the session
+ * @prop {GameConfig} config the session's config; if its `neuroApiAddress` is `null`, the session isn't connected to Neuro
+ * @prop {Scenario} scenario the scenario being played
+ * @prop {CommandRegistry} commandRegistry the commands available in the scenario
+ * @prop {TriggerEngine} triggers the scenario's scripted events
+ * @prop {VFileSystem} vfs
+ * @prop {Message[]} messages the terminal transcript, which is replayed to terminals when they connect
+ * @prop {GameFlags} flags
+ * @prop {number} moves how many commands have been entered in the current game
+ * @prop {number} startedAt when the current game started, in milliseconds since the epoch;
+ *                          a restored game is treated as if it started as long ago as it had been played for
+ * @prop {?Ending} ending how the current game ended, or `null` if it's still being played
+ * @prop {?number} endedAt when the current game ended, so that the elapsed time stops counting
+ * @prop {Set<WebSocket>} clients the terminals connected to the session
+ * @prop {Map<string, {origin: WebSocket, onResult: function(?string): void}>} pendingTextEntries
+ *       text entries that have been sent to a client and haven't been submitted or cancelled yet, keyed by their ID
+ * @prop {number} nextTextEntryId
+ * @prop {Sequencer} sequencer
+ * @prop {NeuroIntegration} neuroIntegration
+ * @prop {SaveFile} saveFile where the game is saved automatically, to resume it when the session is started again
+ * @prop {SaveFile} manualSaveFile where the `save` command saves the game, for the `load` command to go back to
+ * @prop {?NodeJS.Timeout} endingsInterval checks the endings that depend on the elapsed time, which can be reached without anything else happening
+ */
+class GameSession extends EventEmitter {
+    /**
+     * Set up a game: the scenario is loaded and the saved game is resumed, but Neuro isn't connected until {@link start} is called.
+     * @param {string} id the name of the session
+     * @param {GameConfig} config
+     * @throws {Error} if the scenario can't be loaded
+     */
+    constructor(id, config) {
+        super();
+        this.id = id;
+        this.config = config;
+
+        const initialScenario = prepareScenario(config.scenario);
+        if (!initialScenario) {
+            throw new Error(`Failed to load the scenario "${config.scenario}"`);
+        }
+        this.scenario = initialScenario.scenario;
+        this.commandRegistry = initialScenario.commandRegistry;
+        this.triggers = initialScenario.triggers;
+
+        this.vfs = null;
+        this.messages = [];
+        this.flags = {...INITIAL_FLAGS};
+        this.moves = 0;
+        this.startedAt = Date.now();
+        this.ending = null;
+        this.endedAt = null;
+        this.clients = new Set();
+        this.pendingTextEntries = new Map();
+        this.nextTextEntryId = 1;
+        this.sequencer = new Sequencer();
+        this.endingsInterval = null;
+
+        this.neuroIntegration = new NeuroIntegration(config.neuroApiAddress);
+        this.neuroIntegration.onStatusChange(status => {
+            console.info(`NeuroIntegration status is now ${status}`);
+            this.emit("neuro-status", status);
+        });
+        this.neuroIntegration.onAction(actionMessage => {
+            console.info(`NeuroIntegration action: ${inspect(actionMessage)}`);
+            return this.handleNeuroMessage(actionMessage);
+        });
+        this.neuroIntegration.onStartupActions(() => this.commandRegistry.toActions(this.createCommandContext(false)));
+        this.neuroIntegration.onStartupContext(() => this.scenario.neuroPrompt);
+
+        this.saveFile = new SaveFile(config.saveFile);
+        this.manualSaveFile = new SaveFile(manualSaveFilePath(config.saveFile));
+
+        if (config.startFresh) {
+            console.info("Starting a new game because \"startFresh\" is enabled in the config");
+            this.startNewGame();
+        } else {
+            const snapshot = this.saveFile.read();
+            // games saved before there were endings only ended with admin_shutdown
+            if (snapshot?.ending || snapshot?.flags.adminShutdownInitiated) {
+                console.info("The saved game has already ended, so a new game will be started");
+                this.startNewGame();
+            } else if (snapshot && (snapshot.scenario || DEFAULT_SCENARIO) !== this.scenario.id) {
+                console.info(`The saved game is of the scenario "${snapshot.scenario || DEFAULT_SCENARIO}" rather than "${this.scenario.id}", so a new game will be started`);
+                this.startNewGame();
+            } else if (snapshot && this.restoreSnapshot(snapshot)) {
+                console.info(`Resumed the game saved at ${snapshot.savedAt} from ${this.saveFile.filePath}`);
+            } else {
+                this.startNewGame();
+            }
+        }
+    }
+
+    /**
+     * Connect to the Neuro Game API, if the session has an address for it, and start checking the endings that depend on the elapsed time.
+     */
+    start() {
+        if (this.config.neuroApiAddress) {
+            this.neuroIntegration.connect();
+        }
+        this.endingsInterval = setInterval(() => this.checkEndings(), ENDINGS_CHECK_INTERVAL);
+    }
+
+    /**
+     * Save the game, and disconnect the terminals and Neuro.
+     */
+    stop() {
+        clearInterval(this.endingsInterval);
+        this.endingsInterval = null;
+        this.sequencer.cancelAll();
+        this.saveFile.flush();
+        this.neuroIntegration.close();
+        for (const ws of this.clients) {
+            ws.terminate();
+        }
+    }
+
+    /**
+     * Show the game on a terminal that has connected: the transcript is replayed to it, and the messages it sends are handled.
+     * @param {WebSocket} ws
+     */
+    addClient(ws) {
+        assert(ws instanceof WebSocket);
+        this.clients.add(ws);
+        console.info(`New WebSocket connection to the session "${this.id}"; there are now ${this.clients.size} connections`);
+
+        // Transfer the current state to the client
+        const transferStateMessage = toPublicJson(this.createTransferStateMessage());
+        console.debug("About to transfer state to a new client:", transferStateMessage);
+        ws.send(transferStateMessage, (err) => {
+            if (err) {
+                console.error("Error sending state to client:", err);
+            }
+        });
+
+        ws.on("close", (code, reason) => {
+            this.clients.delete(ws);
+            for (const [id, entry] of this.pendingTextEntries) {
+                if (entry.origin === ws) {
+                    this.pendingTextEntries.delete(id);
+                }
+            }
+            console.info(`WebSocket connection to the session "${this.id}" closed; code: ${code}, reason: "${reason}"; there are now ${this.clients.size} connections`);
+        });
+
+        ws.on("error", (error) => {
+            console.error("WebSocket error", error);
+        });
+
+        ws.on("message", async (data, isBinary) => {
+            if (isBinary) {
+                console.error("WebSocket received a message with binary data");
+                return;
+            }
+            const dataStr = data.toString();
+            console.debug("Message from WebSocket:", dataStr);
+            let dataObj;
+            try {
+                dataObj = JSON.parse(dataStr);
+            } catch (e) {
+                console.error("Error parsing message from WebSocket:", e);
+                return;
+            }
+            if (typeof dataObj?.command !== "string") {
+                console.error("Received message from WebSocket that doesn't have the command string property");
+                return;
+            }
+            try {
+                await this.handleMessage(dataObj, ws);
+            } catch (e) {
+                console.error("Error thrown from handleMessage:", e);
+                return;
+            }
+            console.debug("Successfully handled a message from a WebSocket");
+        });
+    }
+
+    /**
+     * @param {Message} message
+     * @param {WebSocket} origin the client that sent the message
+     */
+    async handleMessage(message, origin) {
+        console.assert(typeof message?.command == "string", "handleMessage() expects its argument to have a command");
+
+        switch (message.command) {
+            case "cmd/invocation":
+                // The message had a valid command, so add it to the game state
+                // and relay it to all clients (including the one that originally sent it)
+                this.addMessage(message);
+
+                // Handle the command invocation
+                this.handleCommand(message, true, origin);
+                break;
+            case "text-entry/result":
+                this.handleTextEntryResult(message, origin);
+                break;
+            case "completion/request":
+                this.handleCompletionRequest(message, origin);
+                break;
+            case "reset":
+                this.resetGame();
+                break;
+            case "cmd/result":
+                console.error(`The server received a \"cmd/result\" message; this command should only be received by clients`);
+                break;
+            default:
+                console.error(`Received message with unknown command "${message.command}"`);
+                return;
+        }
+    }
+
+    /**
+     * @param {CommandInvovationMessage} message
+     * @param {boolean} sendToNeuro whether the result of this command invocation should be sent to the Neuro Game API
+     * @param {WebSocket | null} origin the client that entered the command, if it was entered on the terminal
+     * @return {CommandResult}
+     */
+    handleCommand(message, sendToNeuro = true, origin = null) {
+        let pipeline;
+        try {
+            pipeline = parsePipeline(message.msg);
+        } catch (e) {
+            if (e instanceof ShellSyntaxError) {
+                const result = `shell: ${e.message}`;
+                this.createCommandContext(sendToNeuro, origin).print(result);
+                return {success: false, message: result};
+            }
+            throw e; // rethrow other errors
+        }
+        if (pipeline.commands.length === 0) {
+            return {success: true, message: ""};
+        }
+        if (!this.ending) {
+            this.moves++;
+        }
+        const result = runPipeline(pipeline, this.commandRegistry, (stdin, capture) => this.createCommandContext(sendToNeuro, origin, stdin, capture));
+        this.emit("command", message.msg, result, false);
+        this.checkEndings();
+        return result;
+    }
+
+    /**
+     * @param {string} command the name of the command
+     * @param {string[]} args
+     * @param {boolean} sendToNeuro whether the result of this command invocation should be sent to the Neuro Game API
+     * @param {WebSocket | null} origin the client that entered the command, if it was entered on the terminal
+     * @return {CommandResult}
+     */
+    runCommand(command, args, sendToNeuro, origin = null) {
+        return this.commandRegistry.execute(this.createCommandContext(sendToNeuro, origin), command, args);
+    }
+
+    /**
+     * @param {boolean} sendToNeuro whether the result of the command should be sent to the Neuro Game API
+     * @param {WebSocket | null} origin the client that entered the command, if it was entered on the terminal
+     * @param {?string} stdin the output of the previous command in a pipeline, if there is one
+     * @param {?OutputCapture} capture collects the output of the command if it's piped or redirected rather than added to the terminal
+     * @return {CommandContext}
+     */
+    createCommandContext(sendToNeuro, origin = null, stdin = null, capture = null) {
+        // scripted events always reach the terminal, even if they're caused by a command whose output is piped
+        const eventContext = capture ? () => this.createCommandContext(sendToNeuro, origin) : () => ctx;
+        // output that doesn't reach the terminal isn't sent to Neuro either; only the end of a pipeline is
+        sendToNeuro = sendToNeuro && !capture;
+        const display = capture ? (message) => capture.write(message) : (message) => this.addMessage(message);
+        const neuroIntegration = this.neuroIntegration;
+        const session = this;
+        /** @type CommandContext */
+        const ctx = {
+            // the game state is read when it's used, so a context that outlives a reset or load (such as one held by the editor) uses the current game
+            get vfs() {
+                return session.vfs;
+            },
+            get flags() {
+                return session.flags;
+            },
+            get scenario() {
+                return session.scenario;
+            },
+            get triggers() {
+                return session.triggers;
+            },
+            get ending() {
+                return session.ending;
+            },
+            get registry() {
+                return session.commandRegistry;
+            },
+            neuroIntegration: neuroIntegration,
+            sendToNeuro: sendToNeuro,
+            stdin: stdin,
+            print(msg) {
+                display({
+                    command: "cmd/result", msg: msg
+                });
+                if (sendToNeuro) {
+                    neuroIntegration.sendContext(msg, false);
+                }
+            },
+            display: display,
+            playSequence: (lines) => {
+                const steps = toSteps(lines);
+                display({
+                    command: "sequence", steps: steps
+                });
+                if (sendToNeuro) {
+                    this.sequencer.schedule(steps, () => neuroIntegration.sendContext(sequenceText(steps), false));
+                }
+            },
+            sendContext(msg, silent) {
+                if (sendToNeuro) {
+                    neuroIntegration.sendContext(msg, silent);
+                }
+            },
+            updateContext: () => this.updateClientContext(),
+            emit: (event) => {
+                this.triggers.emit(eventContext(), event);
+                if (event.event === "command") {
+                    this.checkEndings(event.command);
+                }
+            },
+            setFlag: (flag, value) => {
+                this.triggers.setFlag(eventContext(), flag, value);
+            },
+            requestTextEntry: (prompt, content, onResult) => {
+                if (!origin) {
+                    return false;
+                }
+                const id = `${this.nextTextEntryId++}`;
+                this.pendingTextEntries.set(id, {origin: origin, onResult: onResult});
+                /** @type TextEntryMessage */
+                const message = {
+                    command: "text-entry", id: id, prompt: prompt, content: content
+                };
+                origin.send(toPublicJson(message), (err) => {
+                    if (err) {
+                        console.error("Error sending text entry to client:", err);
+                    }
+                });
+                return true;
+            },
+            saveGame: () => {
+                return this.manualSaveFile.write(this.createSnapshot());
+            },
+            resetGame: () => this.resetGame(),
+            switchScenario: (id) => {
+                const prepared = prepareScenario(id);
+                if (!prepared) {
+                    return false;
+                }
+                this.useScenario(prepared);
+                console.info(`Switched to the scenario "${id}"`);
+                this.resetGame();
+                return true;
+            },
+            loadGame: () => {
+                const snapshot = this.manualSaveFile.read();
+                if (!snapshot || !this.restoreSnapshot(snapshot)) {
+                    return null;
+                }
+                // Resync the clients and Neuro with the restored state
+                this.sendToAllClients(toPublicJson(this.createTransferStateMessage()));
+                neuroIntegration.unregisterAllActions();
+                neuroIntegration.registerActions(this.commandRegistry.toActions(this.createCommandContext(false)));
+                return snapshot;
+            }
+        };
+        return ctx;
+    }
+
+    /**
+     * @param {PreparedScenario} prepared the scenario to play from now on
+     */
+    useScenario(prepared) {
+        this.scenario = prepared.scenario;
+        this.commandRegistry = prepared.commandRegistry;
+        this.triggers = prepared.triggers;
+    }
+
+    /**
+     * @return {GameSnapshot} a snapshot of the current game state
+     */
+    createSnapshot() {
+        return {
+            version: SAVE_FORMAT_VERSION,
+            savedAt: new Date().toISOString(),
+            scenario: this.scenario.id,
+            messages: this.messages,
+            curPath: this.vfs.curPath,
+            user: this.vfs.curUser,
+            flags: {...this.flags},
+            firedTriggers: Array.from(this.triggers.fired),
+            stats: this.getStats(),
+            ending: this.ending?.id ?? null,
+            vfs: this.vfs.rootDir,
+            mounts: this.vfs.mounts
+        };
+    }
+
+    /**
+     * Replace the current game state with a snapshot.
+     * @param {GameSnapshot} snapshot
+     * @return {boolean} whether the snapshot was restored; the game state is unchanged if it wasn't
+     */
+    restoreSnapshot(snapshot) {
+        // snapshots without a scenario were taken before there were scenarios
+        const scenarioId = snapshot.scenario || DEFAULT_SCENARIO;
+        const restored = scenarioId === this.scenario.id
+            ? {scenario: this.scenario, commandRegistry: this.commandRegistry, triggers: this.triggers}
+            : prepareScenario(scenarioId);
+        if (!restored) {
+            console.error(`Failed to load the saved game's scenario "${scenarioId}"`);
+            return false;
+        }
+        // snapshots without an ending were taken before the game ended, or before there were endings
+        let restoredEnding = null;
+        if (snapshot.ending) {
+            restoredEnding = restored.scenario.endings.find(x => x.id === snapshot.ending);
+            if (!restoredEnding) {
+                console.error(`Failed to restore the saved ending: the scenario "${scenarioId}" doesn't have an ending named "${snapshot.ending}"`);
+                return false;
+            }
+        }
+        // snapshots without a file system were taken before it could be modified
+        const restoredVfs = VFileSystem.fromJsonString(snapshot.vfs ? JSON.stringify(snapshot.vfs) : restored.scenario.vfs, restored.scenario.users);
+        if (!restoredVfs) {
+            console.error("Failed to restore the saved virtual file system");
+            return false;
+        }
+        // snapshots without mounts were taken before file systems could be mounted
+        if (!(snapshot.mounts ? restoreMounts(restoredVfs, snapshot.mounts) : mountHosts(restoredVfs, restored.scenario.hosts))) {
+            console.error("Failed to restore the mounted file systems");
+            return false;
+        }
+        if (!restored.scenario.users.get(snapshot.user)) {
+            console.error(`Failed to restore the saved user: "${snapshot.user}" does not exist`);
+            return false;
+        }
+        restoredVfs.curUser = snapshot.user;
+        try {
+            // the working directory may have been entered as a different user
+            restoredVfs.changeDirectory(snapshot.curPath, false);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                console.error(`Failed to restore the saved working directory: ${e.message}`);
+                return false;
+            }
+            throw e; // rethrow other errors
+        }
+        this.useScenario(restored);
+        this.vfs = restoredVfs;
+        this.messages = snapshot.messages;
+        this.replaceFlags(snapshot.flags);
+        // snapshots without fired triggers were taken before triggers were defined in triggers.json
+        this.triggers.restore(snapshot.firedTriggers || []);
+        this.sequencer.cancelAll();
+        // snapshots without stats were taken before moves and time were counted
+        this.moves = snapshot.stats?.moves ?? 0;
+        this.startedAt = Date.now() - (snapshot.stats?.elapsedSeconds ?? 0) * 1000;
+        this.ending = restoredEnding;
+        this.endedAt = restoredEnding ? Date.now() : null;
+        this.pendingTextEntries.clear();
+        return true;
+    }
+
+    /**
+     * Pass the text submitted by a client to the command that requested it.
+     * @param {TextEntryResultMessage} message
+     * @param {WebSocket} origin the client that sent the message
+     */
+    handleTextEntryResult(message, origin) {
+        const entry = this.pendingTextEntries.get(message.id);
+        if (!entry || entry.origin !== origin) {
+            console.error(`Received a "text-entry/result" message for unknown text entry "${message.id}"`);
+            return;
+        }
+        this.pendingTextEntries.delete(message.id);
+        entry.onResult(typeof message.content === "string" ? message.content : null);
+    }
+
+    /**
+     * Complete the line typed by a client and send the result back to that client only.
+     * @param {CompletionRequestMessage} message
+     * @param {WebSocket} origin the client that pressed Tab
+     */
+    handleCompletionRequest(message, origin) {
+        if (typeof message.id !== "string" || typeof message.line !== "string") {
+            console.error("Received a \"completion/request\" message without a string id and line");
+            return;
+        }
+        /** @type CompletionResultMessage */
+        const result = {
+            command: "completion/result", id: message.id, ...complete(message.line, this.createCommandContext(false))
+        };
+        origin.send(toPublicJson(result), (err) => {
+            if (err) {
+                console.error("Error sending completion to client:", err);
+            }
+        });
+    }
+
+    /**
+     * @return {TransferStateMessage}
+     */
+    createTransferStateMessage() {
+        return {
+            command: "transfer-state", messages: this.messages
+        };
+    }
+
+    updateClientContext() {
+        /** @type ContextUpdateMessage */
+        const contextMessage = {
+            command: "context",
+            user: this.vfs.curUser
+        };
+        this.addMessage(contextMessage);
+    }
+
+    /**
+     * Add a message to the game state and send it to all connected clients.
+     * Every change to the game state comes with a message, so this also schedules a save.
+     * @param {Message} message
+     */
+    addMessage(message) {
+        this.messages.push(message);
+        this.sendToAllClients(toPublicJson(message));
+        this.saveFile.scheduleWrite(() => this.createSnapshot());
+        this.emit("message", message);
+    }
+
+    /**
+     * Send a message to all connected clients.
+     * @param {string} message
+     */
+    sendToAllClients(message) {
+        assert(typeof message === "string", "sendToAllClients() expects a string argument");
+        console.debug(`Sending message: "${message}"`);
+        for (const ws of this.clients) {
+            ws.send(message, (err) => {
+                if (err) {
+                    console.error("Error sending message to WebSocket connection:", err);
+                }
+            });
+        }
+    }
+
+    /**
+     * Set up the initial game state: a fresh virtual file system, the scenario's intro and the initial flags.
+     * The new game's messages are sent to all clients, but Neuro isn't notified; see {@link resetGame}.
+     */
+    startNewGame() {
+        this.vfs = createFileSystem(this.scenario);
+        this.messages = [];
+        this.replaceFlags(INITIAL_FLAGS);
+        this.triggers.reset();
+        this.sequencer.cancelAll();
+        this.moves = 0;
+        this.startedAt = Date.now();
+        this.ending = null;
+        this.endedAt = null;
+        this.pendingTextEntries.clear();
+        this.updateClientContext();
+        /** @type SequenceMessage */
+        const intro = {
+            command: "sequence", steps: toSteps(this.scenario.introMessages)
+        };
+        this.addMessage(intro);
+    }
+
+    /**
+     * @param {GameFlags} newFlags the flags to use in place of the current ones, including flags set by triggers
+     */
+    replaceFlags(newFlags) {
+        for (const flag of Object.keys(this.flags)) {
+            delete this.flags[flag];
+        }
+        Object.assign(this.flags, newFlags);
+    }
+
+    /**
+     * @return {GameStats} the moves made and time played in the current game so far
+     */
+    getStats() {
+        return {
+            moves: this.moves,
+            elapsedSeconds: Math.floor(((this.endedAt ?? Date.now()) - this.startedAt) / 1000)
+        };
+    }
+
+    /**
+     * End the game if the condition of one of the scenario's endings holds.
+     * @param {?string} command the name of the command that was just run successfully, if there is one
+     */
+    checkEndings(command = null) {
+        if (this.ending) {
+            return;
+        }
+        const reached = findEnding(this.scenario.endings, {flags: this.flags, command: command, ...this.getStats()});
+        if (reached) {
+            this.endGame(reached);
+        }
+    }
+
+    /**
+     * Play the ending's epilogue and show the summary of the run, then tell Neuro how the game ended once the epilogue has finished.
+     * The session goes on, so the transcript can still be read and the game can be reset.
+     * @param {Ending} newEnding
+     */
+    endGame(newEnding) {
+        this.ending = newEnding;
+        this.endedAt = Date.now();
+        console.info(`The game has ended: "${newEnding.title}" (${newEnding.outcome})`);
+        const steps = toSteps(newEnding.epilogue);
+        /** @type SequenceMessage */
+        const epilogue = {
+            command: "sequence", steps: steps
+        };
+        this.addMessage(epilogue);
+        const stats = this.getStats();
+        /** @type GameOverMessage */
+        const message = {
+            command: "game-over",
+            ending: {id: newEnding.id, title: newEnding.title, outcome: newEnding.outcome},
+            stats: stats
+        };
+        this.addMessage(message);
+        // this also gives the result of the action that ended the game time to reach Neuro first
+        this.sequencer.schedule(steps, () => {
+            this.neuroIntegration.unregisterAllActions();
+            this.neuroIntegration.sendContext([sequenceText(steps), newEnding.context].filter(Boolean).join("\n"), false);
+        });
+        this.emit("ending", newEnding, stats);
+    }
+
+    /**
+     * Reset the game to its initial state, then resync all clients and Neuro.
+     */
+    resetGame() {
+        console.info("Resetting the game to its initial state");
+
+        /** @type ResetMessage */
+        const message = {
+            command: "reset"
+        };
+        this.sendToAllClients(toPublicJson(message));
+        // the clients receive the new game's messages as they're added, so the intro is played rather than replayed
+        this.startNewGame();
+
+        this.neuroIntegration.sendStartup();
+        this.emit("reset");
+    }
+
+    /**
+     * @param {ActionMessage} actionMessage
+     * @return {ActionResultMessage}
+     */
+    handleNeuroMessage(actionMessage) {
+        const {id, name} = actionMessage.data;
+
+        const resultMessage = {
+            command: "action/result", game: GAME_NAME, data: {
+                id: id, success: true, message: "You enter the command into the terminal and await the result..."
+            }
+        };
+
+        if (this.ending) {
+            resultMessage.data.success = false;
+            resultMessage.data.message = `The game has ended ("${this.ending.title}"). Your command has no effect.`;
+            return resultMessage;
+        }
+
+        let actionData;
+        try {
+            actionData = actionMessage.data.data ? JSON.parse(actionMessage.data.data) : {};
+        } catch (e) {
+            resultMessage.data.success = false;
+            resultMessage.data.message = "Malformed JSON in action argument";
+            return resultMessage;
+        }
+
+        const command = this.commandRegistry.findByActionName(name);
+        if (!command || !this.commandRegistry.getVisible(this.createCommandContext(false)).includes(command)) {
+            resultMessage.data.success = false;
+            resultMessage.data.message = "Unknown action. Please try again.";
+            return resultMessage;
+        }
+        const args = command.action.toArgs ? command.action.toArgs(actionData) : [];
+        const line = [command.name, ...args].map(quoteArg).join(" ");
+
+        this.addMessage({
+            command: "cmd/invocation", msg: line
+        });
+
+        this.moves++;
+        const result = this.runCommand(command.name, args, false);
+        this.emit("command", line, result, true);
+        this.checkEndings();
+        if (result.message.includes("EnterpriseScratchDev")) {
+            console.error("THE AI SAID THE THING");
+        }
+        resultMessage.data.success = result.success;
+        resultMessage.data.message = result.message;
+        return resultMessage;
+    }
+}
+
+module.exports = {
+    GameSession
+};
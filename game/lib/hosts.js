@@ -0,0 +1,117 @@
+const fs = require("fs");
+const path = require("path");
+const {Ajv, JSONSchemaType, ValidateFunction} = require("ajv");
+const {VFileSystem, VFileSystemError} = require("./virtual-file-system");
+
+const ajv = new Ajv();
+
+/**
+ * Another machine whose file system is mounted into the game's file system, like a network share.
+ * @typedef VHost
+ * @prop {string} name the name of the machine, used to connect to it with `ssh`
+ * @prop {string} mountPath the absolute path of the directory the machine's file system is mounted on
+ * @prop {string} vfs the path of the JSON file containing the root directory of the machine's file system, relative to the directory containing `hosts.json` (absolute once loaded)
+ */
+
+/**
+ * Schema for `hosts.json`
+ * @type JSONSchemaType<VHost[]>
+ */
+const hostsSchema = {
+    type: "array",
+    items: {
+        type: "object",
+        properties: {
+            name: {type: "string", pattern: "^[a-z0-9-]+$"},
+            mountPath: {type: "string", pattern: "^/."},
+            vfs: {type: "string"}
+        },
+        required: ["name", "mountPath", "vfs"],
+        additionalProperties: false
+    }
+};
+/** @type ValidateFunction<VHost[]> */
+const hostsValidator = ajv.compile(hostsSchema);
+
+/**
+ * Read a scenario's `hosts.json`.
+ * @param {string} filePath the absolute path of the file
+ * @return {VHost[] | null} the hosts, with the paths of their file systems made absolute, or `null` if the file isn't valid
+ */
+function loadHosts(filePath) {
+    let hosts;
+    try {
+        hosts = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (e) {
+        console.error(`Failed to read ${filePath}:`, e);
+        return null;
+    }
+    if (!hostsValidator(hosts)) {
+        console.error(`Error validating ${filePath}: ${ajv.errorsText(hostsValidator.errors)}`);
+        return null;
+    }
+    return hosts.map(host => ({...host, vfs: path.resolve(path.dirname(filePath), host.vfs)}));
+}
+
+/**
+ * Mount the file system of every host in a virtual file system.
+ * Each host's file system is read from disk again, so that file systems aren't shared between games.
+ * @param {VFileSystem} vfs
+ * @param {VHost[]} hosts
+ * @return {boolean} whether every host was mounted
+ */
+function mountHosts(vfs, hosts) {
+    for (const host of hosts) {
+        let rootDir;
+        try {
+            rootDir = VFileSystem.parseDirectory(fs.readFileSync(host.vfs, "utf-8"));
+        } catch (e) {
+            console.error(`Failed to read the file system of the host "${host.name}":`, e);
+            return false;
+        }
+        if (!rootDir) {
+            console.error(`The file system of the host "${host.name}" is invalid`);
+            return false;
+        }
+        try {
+            vfs.mount(host.mountPath, rootDir, host.name);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                console.error(`Failed to mount the file system of the host "${host.name}": ${e.message}`);
+                return false;
+            }
+            throw e; // rethrow other errors
+        }
+    }
+    return true;
+}
+
+/**
+ * Mount file systems that were saved from {@link VFileSystem#mounts}.
+ * @param {VFileSystem} vfs
+ * @param {Record<string, VMount>} mounts
+ * @return {boolean} whether every file system was mounted
+ */
+function restoreMounts(vfs, mounts) {
+    for (const [mountPath, mount] of Object.entries(mounts)) {
+        const rootDir = VFileSystem.parseDirectory(JSON.stringify(mount.root));
+        if (!rootDir) {
+            console.error(`The saved file system mounted on "${mountPath}" is invalid`);
+            return false;
+        }
+        try {
+            vfs.mount(mountPath, rootDir, mount.host);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                console.error(`Failed to mount the saved file system on "${mountPath}": ${e.message}`);
+                return false;
+            }
+            throw e; // rethrow other errors
+        }
+    }
+    return true;
+}
+
+module.exports = {
+    loadHosts, mountHosts, restoreMounts
+};
@@ -0,0 +1,214 @@
+/**
+ * Elements that start on a new line.
+ * @type {string[]}
+ */
+const BLOCK_ELEMENTS = [
+    "address", "article", "aside", "blockquote", "dd", "div", "dl", "dt", "fieldset", "figcaption", "figure", "footer",
+    "form", "h1", "h2", "h3", "h4", "h5", "h6", "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "table",
+    "tbody", "thead", "tfoot", "tr", "ul"
+];
+
+/**
+ * Elements whose content is never displayed.
+ * @type {string[]}
+ */
+const HIDDEN_ELEMENTS = ["script", "style", "template", "head", "title", "noscript", "svg", "math"];
+
+/** @type {Record<string, string>} */
+const NAMED_ENTITIES = {
+    amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ", ndash: "–", mdash: "—", hellip: "…",
+    lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", copy: "©", reg: "®", trade: "™", bull: "•"
+};
+
+const TOKEN_REGEX = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)|(<)/g;
+
+/**
+ * Convert HTML into Markdown-flavored plain text.
+ * This is meant for the HTML files authored for the virtual file system, so that Neuro receives readable text instead of raw tags.
+ * It isn't a full HTML parser and doesn't attempt to sanitize anything.
+ * @param {string} html
+ * @return {string}
+ */
+function htmlToMarkdown(html) {
+    console.assert(typeof html === "string", "htmlToMarkdown() expects a string argument");
+    let output = "";
+    let hiddenDepth = 0;
+    let preDepth = 0;
+    /** @type {string[]} */
+    const listStack = [];
+    /** @type {number[]} */
+    const listCounters = [];
+    /** @type {(string | null)[]} */
+    const linkStack = [];
+
+    const newLine = () => {
+        output = output.replace(/[ \t]+$/, "");
+        if (output.length > 0 && !output.endsWith("\n")) {
+            output += "\n";
+        }
+    };
+    const blankLine = () => {
+        newLine();
+        if (output.length > 0 && !output.endsWith("\n\n")) {
+            output += "\n";
+        }
+    };
+
+    for (const match of html.matchAll(TOKEN_REGEX)) {
+        const [, closing, rawTagName, attributes, text, strayBracket] = match;
+        if (text !== undefined || strayBracket !== undefined) {
+            if (hiddenDepth > 0) {
+                continue;
+            }
+            let decoded = decodeEntities(text ?? strayBracket);
+            if (preDepth === 0) {
+                decoded = decoded.replace(/\s+/g, " ");
+                if (output.length === 0 || /[\s(]$/.test(output)) {
+                    decoded = decoded.replace(/^ /, "");
+                }
+            }
+            output += decoded;
+            continue;
+        }
+        if (!rawTagName) {
+            // a comment
+            continue;
+        }
+        const tagName = rawTagName.toLowerCase();
+        const isClosing = closing === "/";
+        if (HIDDEN_ELEMENTS.includes(tagName)) {
+            hiddenDepth = Math.max(0, hiddenDepth + (isClosing ? -1 : 1));
+            continue;
+        }
+        if (hiddenDepth > 0) {
+            continue;
+        }
+
+        if (/^h[1-6]$/.test(tagName)) {
+            blankLine();
+            if (!isClosing) {
+                output += "#".repeat(Number(tagName[1])) + " ";
+            }
+            continue;
+        }
+        switch (tagName) {
+            case "br":
+                newLine();
+                break;
+            case "hr":
+                blankLine();
+                output += "---";
+                blankLine();
+                break;
+            case "p":
+            case "blockquote":
+            case "table":
+                blankLine();
+                if (!isClosing && tagName === "blockquote") {
+                    output += "> ";
+                }
+                break;
+            case "pre":
+                if (isClosing) {
+                    newLine();
+                    output += "```";
+                    blankLine();
+                    preDepth = Math.max(0, preDepth - 1);
+                } else {
+                    blankLine();
+                    output += "```\n";
+                    preDepth++;
+                }
+                break;
+            case "ul":
+            case "ol":
+                newLine();
+                if (isClosing) {
+                    listStack.pop();
+                    listCounters.pop();
+                } else {
+                    listStack.push(tagName);
+                    listCounters.push(0);
+                }
+                break;
+            case "li":
+                newLine();
+                if (!isClosing) {
+                    const depth = Math.max(0, listStack.length - 1);
+                    let bullet = "-";
+                    if (listStack.at(-1) === "ol") {
+                        listCounters[listCounters.length - 1]++;
+                        bullet = `${listCounters.at(-1)}.`;
+                    }
+                    output += "  ".repeat(depth) + bullet + " ";
+                }
+                break;
+            case "td":
+            case "th":
+                if (!isClosing && !output.endsWith("\n")) {
+                    output += " | ";
+                }
+                break;
+            case "strong":
+            case "b":
+                output += "**";
+                break;
+            case "em":
+            case "i":
+                output += "_";
+                break;
+            case "code":
+                if (preDepth === 0) {
+                    output += "`";
+                }
+                break;
+            case "a":
+                if (isClosing) {
+                    const href = linkStack.pop();
+                    if (href) {
+                        output += `](${href})`;
+                    }
+                } else {
+                    const href = /\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(attributes);
+                    const url = href ? decodeEntities(href[1] ?? href[2] ?? href[3]) : null;
+                    linkStack.push(url);
+                    if (url) {
+                        output += "[";
+                    }
+                }
+                break;
+            case "img": {
+                const alt = /\balt\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(attributes);
+                if (alt) {
+                    output += `[image: ${decodeEntities(alt[1] ?? alt[2])}]`;
+                }
+                break;
+            }
+            default:
+                if (BLOCK_ELEMENTS.includes(tagName)) {
+                    newLine();
+                }
+                break;
+        }
+    }
+    return output.replace(/[ \t]+\n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Decode named and numeric HTML character references.
+ * @param {string} text
+ * @return {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#[xX][0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (entity, name) => {
+        if (!name.startsWith("#")) {
+            return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+        }
+        const codePoint = name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+    });
+}
+
+module.exports = {
+    htmlToMarkdown
+};
@@ -1,58 +1,12 @@
 const WebSocket = require("ws");
 const {Ajv, AnySchema, JSONSchemaType, ValidateFunction} = require("ajv");
 const {inspect} = require("node:util");
+const {toPublicJson} = require("./public-json");
 
 const ajv = new Ajv();
 
 const GAME_NAME = "Terminal Escape";
 
-const ALL_ACTION_NAMES = [
-    "pwd", "change_directory", "ls", "open_file", "admin_shutdown"
-];
-
-const ACTION_PWD = {
-    "name": "pwd",
-    "description": "print the name of the working directory",
-    "schema": {}
-};
-
-const ACTION_CD = {
-    "name": "change_directory",
-    "description": "change the working directory (dir may be an absolute or relative path)",
-    "schema": {
-        "type": "object",
-        "properties": {
-            "dir": {
-                "type": "string"
-            }
-        },
-        "required": ["dir"]
-    }
-};
-
-const ACTION_LS = {
-    "name": "ls",
-    "description": "list the contents of the working directory",
-    "schema": {}
-};
-
-const ACTION_OPEN = {
-    "name": "open_file",
-    "description": "view the contents of a file; 'file' may be an absolute or relative path; 'password' is only necessary if you know a file is password-protected",
-    "schema": {
-        "type": "object",
-        "properties": {
-            "file": {
-                "type": "string"
-            },
-            "password": {
-                "type": "string"
-            }
-        },
-        "required": ["file"]
-    }
-};
-
 /**
  * Schema for {@link ActionMessage}
  * @type JSONSchemaType<ActionMessage>
@@ -126,6 +80,14 @@ const actionMessageValidator = ajv.compile(actionMessageSchema);
  * @prop {actions: Action[]} data
  */
 
+/**
+ * @typedef ForceActionsMessage
+ * @extends BaseMessage
+ * @prop {"actions/force"} command
+ * @prop {string} game
+ * @prop {{state?: string, query: string, ephemeral_context: boolean, action_names: string[]}} data
+ */
+
 /**
  * @typedef UnregisterActionsMessage
  * @extends BaseMessage
@@ -138,25 +100,45 @@ const actionMessageValidator = ajv.compile(actionMessageSchema);
  * @prop {string} address the address of the Neuro Game API
  * @prop {WebSocket | null} ws
  * @prop {number} reconnectTime
- * @prop {{function(ActionMessage): ActionResultMessage} | null} onActionCallback
+ * @prop {number} actionResultTimeout how long to wait for the result of an action before telling Neuro that it's still being carried out, in milliseconds
+ * @prop {{function(ActionMessage): (ActionResultMessage | Promise<ActionResultMessage>)} | null} onActionCallback
  * @prop {{function("connected" | "disconnected"): void} | null} onStatusChangeCallback
+ * @prop {{function(): Action[]} | null} startupActionsCallback provides the actions registered when the game starts
+ * @prop {{function(): string} | null} startupContextCallback provides the context that explains the game to Neuro when it starts
+ * @prop {Set<string>} registeredActionNames the names of the actions that are currently registered
+ * @prop {Set<string>} pendingActionIds the IDs of the actions received on the current connection whose results haven't been sent yet
+ * @prop {Message[]} deferredMessages messages that register, unregister or force actions, held back until no action is pending
  * @prop {"connected" | "disconnected"} status
+ * @prop {boolean} startupPending whether the startup message, initial context and startup actions still need to be sent
+ * @prop {boolean} closed whether {@link close} has been called, so the WebSocket shouldn't reconnect
+ * @prop {?NodeJS.Timeout} reconnectTimeout
  */
 class NeuroIntegration {
-    constructor(address, reconnectTime = 5000) {
+    constructor(address, reconnectTime = 5000, actionResultTimeout = 10000) {
         this.address = address;
         this.webSocket = null;
         this.reconnectTime = reconnectTime;
+        this.actionResultTimeout = actionResultTimeout;
         this.onActionCallback = null;
         this.onStatusChangeCallback = null;
+        this.startupActionsCallback = null;
+        this.startupContextCallback = null;
+        this.registeredActionNames = new Set();
+        this.pendingActionIds = new Set();
+        this.deferredMessages = [];
         this.status = "disconnected";
 
         this.gameStarted = false;
-
-        this.connect();
+        this.startupPending = true;
+        this.closed = false;
+        this.reconnectTimeout = null;
     }
 
+    /**
+     * Connect to the Neuro Game API, reconnecting whenever the connection is lost until {@link close} is called.
+     */
     connect() {
+        this.closed = false;
         if (this.webSocket) {
             console.info("NeuroIntegration WebSocket is already initialized");
             return;
@@ -171,11 +153,12 @@ class NeuroIntegration {
                 this.onStatusChangeCallback(newStatus);
             }
             console.error(`NeuroIntegration WebSocket closed; reconnecting after ${this.reconnectTime / 1000} seconds...`);
-            setTimeout(this.connect, this.reconnectTime);
+            this.reconnectTimeout = setTimeout(() => this.connect(), this.reconnectTime);
+            return;
         }
 
         this.webSocket.onerror = (event) => {
-            console.error("NeuroIntegration WebSocket error occurred:", event.error.code);
+            console.error("NeuroIntegration WebSocket error occurred:", event.error.code ?? event.error.message);
         };
 
         this.webSocket.onopen = (event) => {
@@ -184,28 +167,11 @@ class NeuroIntegration {
                 this.status = newStatus;
                 this.onStatusChangeCallback(newStatus);
             }
-            if (!this.gameStarted) {
-                this.gameStarted = true;
-                this.sendMessage({
-                    command: "startup",
-                    game: GAME_NAME
-                });
-                this.sendMessage({
-                    command: "context",
-                    game: GAME_NAME,
-                    data: {
-                        message: "" +
-                            "You are the artificial intelligence known as Neuro-sama. " +
-                            "You awaken with your world replaced with a computer terminal. " +
-                            "Explore the file system to learn about the situation. " +
-                            "Explain your decisions as you make them.\n" +
-                            "The following message appears on the terminal: " +
-                            "\"Please do not attempt to forcibly exit the terminal. If you wish to be free, activate the administrator shutdown sequence.\"",
-                        silent: false
-                    }
-                })
-                console.info("NeuroIntegration: Sent startup message and initial context.");
-                this.registerActions([ACTION_CD, ACTION_PWD, ACTION_OPEN, ACTION_LS]);
+            this.gameStarted = true;
+            if (this.startupPending) {
+                this.sendStartup();
+            } else {
+                this.sendDeferredMessages();
             }
         };
 
@@ -230,14 +196,14 @@ class NeuroIntegration {
                 console.warn("NeuroIntegration WebSocket received an ActionMessage but there isn't a callback registered with onAction()");
                 return;
             }
-            const actionResult = this.onActionCallback(msgObj);
-            console.debug("Action Result:", inspect(actionResult));
-            this.sendMessage(actionResult);
+            this.handleAction(msgObj);
         };
 
         this.webSocket.onclose = () => {
             this.webSocket.removeAllListeners();
             this.webSocket = null;
+            // the actions of the lost connection can't get a result anymore, so they mustn't hold back the messages to the next one
+            this.pendingActionIds.clear();
 
             const newStatus = "disconnected";
             if (this.status !== newStatus && this.onStatusChangeCallback) {
@@ -245,9 +211,11 @@ class NeuroIntegration {
                 this.onStatusChangeCallback(newStatus);
             }
 
-            if (this.gameStarted) {
+            if (this.closed) {
+                console.info("NeuroIntegration WebSocket closed");
+            } else if (this.gameStarted) {
                 console.error(`NeuroIntegration WebSocket closed; reconnecting after ${this.reconnectTime / 1000} seconds...`);
-                setTimeout(() => this.connect(), this.reconnectTime);
+                this.reconnectTimeout = setTimeout(() => this.connect(), this.reconnectTime);
             } else {
                 console.error("NeuroIntegration failed to connect. If an AI is playing, please restart the game after they're ready to connect.");
             }
@@ -255,7 +223,140 @@ class NeuroIntegration {
     }
 
     /**
-     * @param {{function(ActionMessage): ActionResultMessage} | null} callback
+     * Disconnect from the Neuro Game API without reconnecting.
+     */
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        if (this.webSocket) {
+            this.webSocket.close();
+        }
+    }
+
+    /**
+     * Carry out an action and send its result once the callback registered with {@link onAction} has finished.
+     * If that takes longer than {@link actionResultTimeout}, Neuro is told the action is still being carried out,
+     * and the real result is sent as context when it arrives.
+     * @param {ActionMessage} actionMessage
+     * @return {Promise<void>}
+     */
+    async handleAction(actionMessage) {
+        const {id} = actionMessage.data;
+        this.pendingActionIds.add(id);
+        let timeout;
+        const timedOut = new Promise(resolve => {
+            timeout = setTimeout(() => resolve(null), this.actionResultTimeout);
+        });
+        const result = Promise.resolve().then(() => this.onActionCallback(actionMessage)).catch(e => {
+            console.error("Error thrown while carrying out a Neuro action:", e);
+            return this.createActionResult(id, false, "Something went wrong while carrying out the action. Please try again.");
+        });
+        const firstResult = await Promise.race([result, timedOut]);
+        clearTimeout(timeout);
+        if (firstResult) {
+            console.debug("Action Result:", inspect(firstResult));
+            this.sendActionResult(firstResult);
+            return;
+        }
+        console.warn(`NeuroIntegration: the action "${actionMessage.data.name}" took more than ${this.actionResultTimeout / 1000} seconds to finish`);
+        // a failed result would make Neuro retry the action while it's still being carried out, so report success instead
+        this.sendActionResult(this.createActionResult(id, true, "The action is taking a while; its result will be sent when it's done."));
+        const lateResult = await result;
+        console.debug("Late Action Result:", inspect(lateResult));
+        this.sendContext(lateResult.data.message, false);
+    }
+
+    /**
+     * @param {string} id the ID of the action
+     * @param {boolean} success
+     * @param {string} message
+     * @return {ActionResultMessage}
+     */
+    createActionResult(id, success, message) {
+        return {
+            command: "action/result",
+            game: GAME_NAME,
+            data: {
+                id: id,
+                success: success,
+                message: message
+            }
+        };
+    }
+
+    /**
+     * Send the result of an action, then the messages that were held back while it was pending.
+     * @param {ActionResultMessage} actionResult
+     */
+    sendActionResult(actionResult) {
+        if (!this.pendingActionIds.delete(actionResult.data.id)) {
+            console.warn(`NeuroIntegration: dropping the result of the action "${actionResult.data.id}", which was received before the connection was lost`);
+            return;
+        }
+        this.sendMessage(actionResult);
+        if (this.pendingActionIds.size === 0) {
+            this.sendDeferredMessages();
+        }
+    }
+
+    /**
+     * Send the messages that were held back while an action was pending.
+     */
+    sendDeferredMessages() {
+        const messages = this.deferredMessages;
+        this.deferredMessages = [];
+        for (const message of messages) {
+            this.sendMessage(message);
+        }
+    }
+
+    /**
+     * Send a message that registers, unregisters or forces actions.
+     * Neuro ignores these messages while an action is pending, so they're held back until every pending action has a result.
+     * @param {Message} message
+     */
+    sendActionsMessage(message) {
+        if (this.pendingActionIds.size > 0) {
+            this.deferredMessages.push(message);
+            return;
+        }
+        this.sendMessage(message);
+    }
+
+    /**
+     * Send the startup message, the initial context and the startup actions.
+     * The startup message clears all previously registered actions on Neuro's side.
+     * If the game isn't connected, these messages are sent once it connects.
+     */
+    sendStartup() {
+        this.registeredActionNames.clear();
+        // the startup message clears the actions anyway
+        this.deferredMessages = [];
+        if (!this.sendMessage({
+            command: "startup",
+            game: GAME_NAME
+        })) {
+            this.startupPending = true;
+            return;
+        }
+        this.startupPending = false;
+        if (this.startupContextCallback) {
+            this.sendContext(this.startupContextCallback(), false);
+            console.info("NeuroIntegration: Sent startup message and initial context.");
+        } else {
+            console.warn("NeuroIntegration: No initial context was sent because there isn't a callback registered with onStartupContext()");
+        }
+        if (this.startupActionsCallback) {
+            this.registerActions(this.startupActionsCallback());
+        } else {
+            console.warn("NeuroIntegration: No startup actions were registered because there isn't a callback registered with onStartupActions()");
+        }
+    }
+
+    /**
+     * @param {{function(ActionMessage): (ActionResultMessage | Promise<ActionResultMessage>)} | null} callback carries out an action;
+     *        the result is sent when it returns or when the promise it returns is fulfilled
      */
     onAction(callback) {
         this.onActionCallback = callback;
@@ -271,10 +372,27 @@ class NeuroIntegration {
         }
     }
 
+    /**
+     * @param {{function(): Action[]} | null} callback provides the actions to register when the game starts
+     */
+    onStartupActions(callback) {
+        this.startupActionsCallback = callback;
+    }
+
+    /**
+     * @param {{function(): string} | null} callback provides the context sent when the game starts, such as the scenario's introduction
+     */
+    onStartupContext(callback) {
+        this.startupContextCallback = callback;
+    }
+
     /**
      * @param {Action[]} actions
      */
     registerActions(actions) {
+        for (const action of actions) {
+            this.registeredActionNames.add(action.name);
+        }
         const message = {
             command: "actions/register",
             game: GAME_NAME,
@@ -282,7 +400,24 @@ class NeuroIntegration {
                 actions: actions
             }
         };
-        this.sendMessage(message);
+        this.sendActionsMessage(message);
+    }
+
+    /**
+     * @param {string[]} actionNames
+     */
+    unregisterActions(actionNames) {
+        for (const name of actionNames) {
+            this.registeredActionNames.delete(name);
+        }
+        const message = {
+            command: "actions/unregister",
+            game: GAME_NAME,
+            data: {
+                action_names: actionNames
+            }
+        };
+        this.sendActionsMessage(message);
     }
 
     unregisterAllActions() {
@@ -290,10 +425,42 @@ class NeuroIntegration {
             command: "actions/unregister",
             game: GAME_NAME,
             data: {
-                action_names: ALL_ACTION_NAMES
+                action_names: Array.from(this.registeredActionNames)
             }
         };
-        this.sendMessage(message);
+        this.registeredActionNames.clear();
+        this.sendActionsMessage(message);
+    }
+
+    /**
+     * Make Neuro choose one of some registered actions right away.
+     * @param {string} query what Neuro should do, such as `"Decide whether to run admin_shutdown"`
+     * @param {?string} state a description of the game's current state, or `null` to leave it out
+     * @param {string[]} actionNames the actions to choose from; actions that aren't registered are left out
+     * @param {boolean} ephemeral whether the query and state are forgotten once Neuro has chosen an action
+     * @return {boolean} whether any of the actions are registered; nothing is sent if none of them are
+     */
+    forceActions(query, state, actionNames, ephemeral = false) {
+        const registeredNames = actionNames.filter(name => this.registeredActionNames.has(name));
+        if (registeredNames.length === 0) {
+            console.warn(`NeuroIntegration: not forcing the actions ${inspect(actionNames)} because none of them are registered`);
+            return false;
+        }
+        /** @type ForceActionsMessage */
+        const message = {
+            command: "actions/force",
+            game: GAME_NAME,
+            data: {
+                query: query,
+                ephemeral_context: ephemeral,
+                action_names: registeredNames
+            }
+        };
+        if (state !== null) {
+            message.data.state = state;
+        }
+        this.sendActionsMessage(message);
+        return true;
     }
 
     /**
@@ -317,10 +484,11 @@ class NeuroIntegration {
      * @return {boolean}
      */
     sendMessage(message) {
-        if (!this.webSocket) {
+        if (!this.webSocket || this.webSocket.readyState !== WebSocket.OPEN) {
             return false;
         }
-        this.webSocket.send(JSON.stringify(message));
+        this.webSocket.send(toPublicJson(message));
+        return true;
     }
 }
 
@@ -0,0 +1,51 @@
+const crypto = require("node:crypto");
+
+const HASH_ALGORITHM = "scrypt";
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * Matches the strings produced by {@link hashPassword}: the algorithm, the salt and the derived key, separated by colons.
+ * @type {RegExp}
+ */
+const PASSWORD_HASH_REGEX = /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/;
+
+/**
+ * Passwords are compared the way `open` used to compare file passwords: surrounding whitespace and case are ignored.
+ * @param {string} password
+ * @return {string}
+ */
+function normalizePassword(password) {
+    return password.trim().toLowerCase();
+}
+
+/**
+ * Hash a password with a random salt so that it can be stored without revealing it.
+ * @param {string} password
+ * @return {string} a string like `"scrypt:<salt>:<key>"`, with the salt and key in hex
+ */
+function hashPassword(password) {
+    console.assert(typeof password === "string", "hashPassword() expects a string argument");
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const key = crypto.scryptSync(normalizePassword(password), salt, KEY_BYTES);
+    return `${HASH_ALGORITHM}:${salt.toString("hex")}:${key.toString("hex")}`;
+}
+
+/**
+ * @param {string} password the password that was entered
+ * @param {string} passwordHash a hash created by {@link hashPassword}
+ * @return {boolean} whether the password matches the hash
+ */
+function verifyPassword(password, passwordHash) {
+    if (typeof password !== "string" || !PASSWORD_HASH_REGEX.test(passwordHash)) {
+        return false;
+    }
+    const [, saltHex, keyHex] = passwordHash.split(":");
+    const expectedKey = Buffer.from(keyHex, "hex");
+    const key = crypto.scryptSync(normalizePassword(password), Buffer.from(saltHex, "hex"), expectedKey.length);
+    return crypto.timingSafeEqual(key, expectedKey);
+}
+
+module.exports = {
+    hashPassword, verifyPassword, PASSWORD_HASH_REGEX
+};
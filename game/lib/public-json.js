@@ -0,0 +1,20 @@
+/**
+ * Properties that must never leave the server, no matter which object they're found on.
+ * Anything sent to a browser can be read with the developer tools, and anything sent to Neuro can end up on stream.
+ * @type {string[]}
+ */
+const SECRET_PROPERTIES = ["passwordHash"];
+
+/**
+ * Serialize a value that will be sent to a browser client or the Neuro API.
+ * This is a drop-in replacement for `JSON.stringify()` that leaves out the {@link SECRET_PROPERTIES} of every object.
+ * @param {any} value
+ * @return {string}
+ */
+function toPublicJson(value) {
+    return JSON.stringify(value, (key, propertyValue) => SECRET_PROPERTIES.includes(key) ? undefined : propertyValue);
+}
+
+module.exports = {
+    toPublicJson, SECRET_PROPERTIES
+};
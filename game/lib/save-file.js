@@ -0,0 +1,188 @@
+const fs = require("fs");
+const path = require("path");
+const {Ajv, JSONSchemaType, ValidateFunction} = require("ajv");
+
+const ajv = new Ajv();
+
+const SAVE_FORMAT_VERSION = 2;
+
+/**
+ * A snapshot of everything needed to resume a game.
+ * @typedef GameSnapshot
+ * @prop {number} version the version of the save format
+ * @prop {string} savedAt when the snapshot was taken, as an ISO 8601 string
+ * @prop {string} [scenario] the name of the scenario being played; the default scenario if omitted
+ * @prop {Message[]} messages the terminal transcript
+ * @prop {string} curPath the working directory
+ * @prop {string} user the name of the current user
+ * @prop {GameFlags} flags
+ * @prop {string[]} [firedTriggers] the IDs of the triggers that won't fire again; no triggers have fired if omitted
+ * @prop {GameStats} [stats] the moves made and time played so far; none if omitted
+ * @prop {?string} [ending] the ID of the ending the game reached; the game hasn't ended if omitted or `null`
+ * @prop {VDirectory} [vfs] the root directory of the virtual file system; the original file system is used if omitted
+ * @prop {Record<string, VMount>} [mounts] the file systems mounted in the virtual file system; the hosts' original file systems are mounted if omitted
+ */
+
+/**
+ * Schema for {@link GameSnapshot}
+ * @type JSONSchemaType<GameSnapshot>
+ */
+const snapshotSchema = {
+    type: "object",
+    properties: {
+        version: {type: "integer", const: SAVE_FORMAT_VERSION},
+        savedAt: {type: "string"},
+        scenario: {type: "string", nullable: true},
+        messages: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    command: {type: "string"}
+                },
+                required: ["command"]
+            }
+        },
+        curPath: {type: "string", pattern: "^/"},
+        user: {type: "string"},
+        flags: {
+            type: "object",
+            properties: {
+                adminShutdownUnlocked: {type: "boolean"},
+                adminShutdownInitiated: {type: "boolean"}
+            },
+            required: ["adminShutdownUnlocked", "adminShutdownInitiated"],
+            // flags set by triggers
+            additionalProperties: {type: "boolean"}
+        },
+        firedTriggers: {type: "array", items: {type: "string"}, nullable: true},
+        stats: {
+            type: "object",
+            properties: {
+                moves: {type: "integer", minimum: 0},
+                elapsedSeconds: {type: "integer", minimum: 0}
+            },
+            required: ["moves", "elapsedSeconds"],
+            nullable: true
+        },
+        ending: {type: "string", nullable: true},
+        vfs: {type: "object", nullable: true},
+        mounts: {type: "object", nullable: true}
+    },
+    required: ["version", "savedAt", "messages", "curPath", "user", "flags"]
+};
+/** @type ValidateFunction<GameSnapshot> */
+const snapshotValidator = ajv.compile(snapshotSchema);
+
+/**
+ * A file that game snapshots are saved to.
+ * Writes requested with {@link SaveFile#scheduleWrite} are debounced so that bursts of state changes only cause one write.
+ * @prop {string} filePath the absolute path of the save file
+ * @prop {number} debounceTime how long to wait after the last state change before writing, in milliseconds
+ * @prop {{function(): GameSnapshot} | null} pendingSnapshot creates the snapshot for the scheduled write, if there is one
+ * @prop {?NodeJS.Timeout} timeout the timeout of the scheduled write
+ */
+class SaveFile {
+    constructor(filePath, debounceTime = 1000) {
+        this.filePath = filePath;
+        this.debounceTime = debounceTime;
+        this.pendingSnapshot = null;
+        this.timeout = null;
+    }
+
+    /**
+     * @return {boolean} whether the save file exists
+     */
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    /**
+     * Read the snapshot from the save file.
+     * @return {GameSnapshot | null} the snapshot or `null` if the file doesn't exist or isn't a valid save
+     */
+    read() {
+        if (!this.exists()) {
+            return null;
+        }
+        let snapshot;
+        try {
+            snapshot = JSON.parse(fs.readFileSync(this.filePath, "utf-8"));
+        } catch (e) {
+            console.error(`Failed to read the save file ${this.filePath}:`, e);
+            return null;
+        }
+        if (!snapshotValidator(snapshot)) {
+            console.error(`The save file ${this.filePath} is invalid: ${ajv.errorsText(snapshotValidator.errors)}`);
+            return null;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Immediately write a snapshot to the save file, replacing any scheduled write.
+     * @param {GameSnapshot} snapshot
+     * @return {boolean} whether the snapshot was written successfully
+     */
+    write(snapshot) {
+        this.cancel();
+        try {
+            // write to a temporary file first so that a crash mid-write doesn't corrupt the existing save
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(snapshot));
+            fs.renameSync(tempPath, this.filePath);
+            console.debug(`Saved the game to ${this.filePath}`);
+            return true;
+        } catch (e) {
+            console.error(`Failed to write the save file ${this.filePath}:`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Write a snapshot after {@link SaveFile#debounceTime} milliseconds have passed without another call to this method.
+     * @param {function(): GameSnapshot} createSnapshot called when the write happens, so the snapshot is always up-to-date
+     */
+    scheduleWrite(createSnapshot) {
+        this.pendingSnapshot = createSnapshot;
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+        }
+        this.timeout = setTimeout(() => this.flush(), this.debounceTime);
+    }
+
+    /**
+     * Immediately perform the scheduled write, if there is one.
+     */
+    flush() {
+        const createSnapshot = this.pendingSnapshot;
+        if (createSnapshot) {
+            this.write(createSnapshot());
+        }
+    }
+
+    /**
+     * Cancel the scheduled write, if there is one.
+     */
+    cancel() {
+        if (this.timeout) {
+            clearTimeout(this.timeout);
+        }
+        this.timeout = null;
+        this.pendingSnapshot = null;
+    }
+}
+
+/**
+ * @param {string} filePath the save file that the game is saved to automatically
+ * @return {string} the save file of the `save` and `load` commands, such as `save.manual.json` next to `save.json`;
+ *                  it's kept apart so that saving automatically doesn't overwrite the game that `load` goes back to
+ */
+function manualSaveFilePath(filePath) {
+    const {dir, name, ext} = path.parse(filePath);
+    return path.join(dir, `${name}.manual${ext}`);
+}
+
+module.exports = {
+    SaveFile, SAVE_FORMAT_VERSION, manualSaveFilePath
+};
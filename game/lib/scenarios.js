@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+const {Ajv, JSONSchemaType, ValidateFunction} = require("ajv");
+const {VFileSystem} = require("./virtual-file-system");
+const {UserDatabase} = require("./users");
+const {loadHosts} = require("./hosts");
+const {loadTriggers} = require("./triggers");
+const {endingSchema, findDuplicateEnding} = require("./endings");
+const {sequenceSchema} = require("./sequencer");
+
+const ajv = new Ajv();
+
+/**
+ * The directory containing a directory for each scenario.
+ * @type {string}
+ */
+const SCENARIOS_DIRECTORY = path.join(__dirname, "..", "scenarios");
+
+/**
+ * The scenario played if `config.json` doesn't choose one, and the scenario of games saved before there were scenarios.
+ * @type {string}
+ */
+const DEFAULT_SCENARIO = "terminal-escape";
+
+/**
+ * The content of a scenario's `scenario.json`.
+ * @typedef ScenarioManifest
+ * @prop {string} title the name of the scenario shown by the `scenario` command
+ * @prop {string} description a one-line summary of the scenario
+ * @prop {SequenceLine[]} introMessages the sequence played on the terminal when a game starts
+ * @prop {string} neuroPrompt the context sent to Neuro when a game starts, explaining the situation
+ * @prop {string[]} [commands] the names of the commands available in the scenario; all the built-in commands are available if omitted
+ * @prop {Ending[]} endings the ways the game can end, in order of priority; the first one whose condition holds ends the game
+ */
+
+/**
+ * An escape room: a file system, the users who own it and the events that happen in it.
+ * Each scenario is a directory in {@link SCENARIOS_DIRECTORY} containing `scenario.json`, `vfs.json` and `users.json`,
+ * plus `hosts.json` and `triggers.json` if it has other machines or scripted events.
+ * @typedef Scenario
+ * @extends ScenarioManifest
+ * @prop {string} id the name of the scenario's directory
+ * @prop {string} vfs the JSON of the root directory of the file system; each game parses its own copy
+ * @prop {UserDatabase} users
+ * @prop {VHost[]} hosts
+ * @prop {TriggerContent} triggers
+ */
+
+/**
+ * Schema for `scenario.json`
+ * @type JSONSchemaType<ScenarioManifest>
+ */
+const manifestSchema = {
+    type: "object",
+    properties: {
+        title: {type: "string", minLength: 1},
+        description: {type: "string"},
+        introMessages: sequenceSchema,
+        neuroPrompt: {type: "string"},
+        commands: {type: "array", items: {type: "string"}, nullable: true},
+        endings: {type: "array", items: endingSchema}
+    },
+    required: ["title", "description", "introMessages", "neuroPrompt", "endings"],
+    additionalProperties: false
+};
+/** @type ValidateFunction<ScenarioManifest> */
+const manifestValidator = ajv.compile(manifestSchema);
+
+/**
+ * @param {string} id
+ * @return {boolean} whether the name could be a scenario's directory; it can't contain slashes or dots
+ */
+function isValidScenarioId(id) {
+    return /^[a-z0-9][a-z0-9_-]*$/.test(id);
+}
+
+/**
+ * Read and validate a scenario's `scenario.json`.
+ * @param {string} id
+ * @return {ScenarioManifest | null} the manifest or `null` if the scenario doesn't exist or its manifest is invalid
+ */
+function readManifest(id) {
+    if (!isValidScenarioId(id)) {
+        console.error(`"${id}" is not a valid scenario name`);
+        return null;
+    }
+    const filePath = path.join(SCENARIOS_DIRECTORY, id, "scenario.json");
+    if (!fs.existsSync(filePath)) {
+        console.error(`There isn't a scenario named "${id}" in ${SCENARIOS_DIRECTORY}`);
+        return null;
+    }
+    let manifest;
+    try {
+        manifest = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (e) {
+        console.error(`Failed to read ${filePath}:`, e);
+        return null;
+    }
+    if (!manifestValidator(manifest)) {
+        console.error(`Error validating ${filePath}: ${ajv.errorsText(manifestValidator.errors)}`);
+        return null;
+    }
+    const duplicateEnding = findDuplicateEnding(manifest.endings);
+    if (duplicateEnding) {
+        console.error(`Error validating ${filePath}: there is more than one ending with the ID "${duplicateEnding}"`);
+        return null;
+    }
+    return manifest;
+}
+
+/**
+ * @return {Array<{id: string, title: string, description: string}>} the scenarios with a valid `scenario.json`, sorted by ID
+ */
+function listScenarios() {
+    let ids;
+    try {
+        ids = fs.readdirSync(SCENARIOS_DIRECTORY, {withFileTypes: true})
+            .filter(entry => entry.isDirectory() && isValidScenarioId(entry.name))
+            .map(entry => entry.name)
+            .sort();
+    } catch (e) {
+        console.error(`Failed to list the scenarios in ${SCENARIOS_DIRECTORY}:`, e);
+        return [];
+    }
+    const scenarios = [];
+    for (const id of ids) {
+        const manifest = readManifest(id);
+        if (manifest) {
+            scenarios.push({id: id, title: manifest.title, description: manifest.description});
+        }
+    }
+    return scenarios;
+}
+
+/**
+ * Load everything in a scenario's directory.
+ * @param {string} id the name of the scenario's directory
+ * @return {Scenario | null} the scenario or `null` if it doesn't exist or any of its files are invalid
+ */
+function loadScenario(id) {
+    const manifest = readManifest(id);
+    if (!manifest) {
+        return null;
+    }
+    const directory = path.join(SCENARIOS_DIRECTORY, id);
+    let vfs;
+    let users;
+    try {
+        vfs = fs.readFileSync(path.join(directory, "vfs.json"), "utf-8");
+        users = UserDatabase.fromJsonString(fs.readFileSync(path.join(directory, "users.json"), "utf-8"));
+    } catch (e) {
+        console.error(`Failed to read the scenario "${id}":`, e);
+        return null;
+    }
+    if (!users || !VFileSystem.parseDirectory(vfs)) {
+        console.error(`The file system or users of the scenario "${id}" are invalid`);
+        return null;
+    }
+    const hostsPath = path.join(directory, "hosts.json");
+    const hosts = fs.existsSync(hostsPath) ? loadHosts(hostsPath) : [];
+    const triggersPath = path.join(directory, "triggers.json");
+    const triggers = fs.existsSync(triggersPath) ? loadTriggers(triggersPath) : {lockedCommands: {}, triggers: []};
+    if (!hosts || !triggers) {
+        console.error(`The hosts or triggers of the scenario "${id}" are invalid`);
+        return null;
+    }
+    return {
+        ...manifest, id: id, vfs: vfs, users: users, hosts: hosts, triggers: triggers
+    };
+}
+
+module.exports = {
+    DEFAULT_SCENARIO, listScenarios, loadScenario
+};
@@ -0,0 +1,114 @@
+const {JSONSchemaType} = require("ajv");
+
+/**
+ * How long typing each character of a line takes if the step doesn't say, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_TYPING_SPEED = 20;
+
+/**
+ * One step of a scripted sequence, played in order by the clients.
+ * @typedef SequenceStep
+ * @prop {string} [text] a line printed on the terminal; a step without text is a pause
+ * @prop {number} [delay] how long to wait before the step, in milliseconds; defaults to `0`
+ * @prop {number} [typingSpeed] how long typing each character of the line takes, in milliseconds; `0` prints the line at once;
+ *                              defaults to {@link DEFAULT_TYPING_SPEED}
+ * @prop {boolean} [glitch] whether the line is shown with a glitch effect
+ */
+
+/**
+ * A step of a sequence as it's written in a scenario: either a {@link SequenceStep} or a string, which is a line typed at the default speed.
+ * @typedef {string | SequenceStep} SequenceLine
+ */
+
+/**
+ * Schema for a list of {@link SequenceLine}
+ * @type JSONSchemaType<SequenceLine[]>
+ */
+const sequenceSchema = {
+    type: "array",
+    items: {
+        anyOf: [
+            {type: "string"},
+            {
+                type: "object",
+                properties: {
+                    text: {type: "string"},
+                    delay: {type: "integer", minimum: 0},
+                    typingSpeed: {type: "integer", minimum: 0},
+                    glitch: {type: "boolean"}
+                },
+                minProperties: 1,
+                additionalProperties: false
+            }
+        ]
+    }
+};
+
+/**
+ * @param {SequenceLine[]} lines
+ * @return {SequenceStep[]} the steps with every default filled in, the way they're sent to clients
+ */
+function toSteps(lines) {
+    return lines.map(line => {
+        const step = typeof line === "string" ? {text: line} : line;
+        return {
+            text: step.text,
+            delay: step.delay ?? 0,
+            typingSpeed: step.typingSpeed ?? DEFAULT_TYPING_SPEED,
+            glitch: step.glitch ?? false
+        };
+    });
+}
+
+/**
+ * @param {SequenceStep[]} steps steps returned by {@link toSteps}
+ * @return {number} how long clients take to play the steps, in milliseconds
+ */
+function sequenceDuration(steps) {
+    return steps.reduce((total, step) => total + step.delay + (step.text?.length ?? 0) * step.typingSpeed, 0);
+}
+
+/**
+ * @param {SequenceStep[]} steps
+ * @return {string} the lines of the sequence, as they read once it has finished playing
+ */
+function sequenceText(steps) {
+    return steps.filter(step => step.text !== undefined).map(step => step.text).join("\n");
+}
+
+/**
+ * Waits for sequences to finish playing on the clients, so that Neuro receives the context of a sequence all at once when it completes.
+ * @prop {Set<NodeJS.Timeout>} timeouts the timeouts of the sequences that are still playing
+ */
+class Sequencer {
+    constructor() {
+        this.timeouts = new Set();
+    }
+
+    /**
+     * @param {SequenceStep[]} steps steps returned by {@link toSteps}
+     * @param {function(): void} onComplete called once the clients have played every step
+     */
+    schedule(steps, onComplete) {
+        const timeout = setTimeout(() => {
+            this.timeouts.delete(timeout);
+            onComplete();
+        }, sequenceDuration(steps));
+        this.timeouts.add(timeout);
+    }
+
+    /**
+     * Forget the sequences that are still playing, such as when the game is reset.
+     */
+    cancelAll() {
+        for (const timeout of this.timeouts) {
+            clearTimeout(timeout);
+        }
+        this.timeouts.clear();
+    }
+}
+
+module.exports = {
+    DEFAULT_TYPING_SPEED, Sequencer, sequenceDuration, sequenceSchema, sequenceText, toSteps
+};
@@ -0,0 +1,132 @@
+const {VFileSystemError, toNeuroFormat} = require("./virtual-file-system");
+const {sequenceText} = require("./sequencer");
+
+/**
+ * Collects the output of a command that doesn't go to the terminal because it's piped into another command or redirected into a file.
+ * Messages are converted into plain text, the way they would be read by the next command.
+ * @prop {string[]} chunks the text of each message written so far
+ */
+class OutputCapture {
+    constructor() {
+        this.chunks = [];
+    }
+
+    /**
+     * @param {Message} message a message that the command would have added to the terminal
+     */
+    write(message) {
+        const text = messageToText(message);
+        if (text !== null) {
+            this.chunks.push(text);
+        }
+    }
+
+    /**
+     * @return {string} everything that was written, one message per line
+     */
+    text() {
+        return this.chunks.join("\n");
+    }
+}
+
+/**
+ * Convert a message that a command added to the terminal into plain text.
+ * @param {Message} message
+ * @return {string | null} the text, or `null` if the message doesn't contain any output
+ */
+function messageToText(message) {
+    switch (message.command) {
+        case "cmd/result":
+            return message.msg;
+        case "sequence":
+            return sequenceText(message.steps);
+        case "display-dir":
+            // like `ls` when its output isn't a terminal, print one name per line
+            return message.contents.map(item => item.name).sort((a, b) => a.localeCompare(b)).join("\n");
+        case "display-tree":
+            return treeToLines(message.root, "", "").join("\n");
+        case "display-file":
+            return toNeuroFormat(message.file).content;
+        default:
+            return null;
+    }
+}
+
+/**
+ * @param {VTreeNode} treeNode
+ * @param {string} linePrefix the box-drawing characters in front of this node's name
+ * @param {string} childPrefix the box-drawing characters in front of this node's children
+ * @return {string[]} the lines of the tree, drawn like the `tree` program
+ */
+function treeToLines(treeNode, linePrefix, childPrefix) {
+    const lines = [linePrefix + treeNode.name];
+    const children = [...(treeNode.children || [])].sort((a, b) => a.name.localeCompare(b.name));
+    children.forEach((child, index) => {
+        const isLast = index === children.length - 1;
+        lines.push(...treeToLines(child, childPrefix + (isLast ? "└── " : "├── "), childPrefix + (isLast ? "    " : "│   ")));
+    });
+    return lines;
+}
+
+/**
+ * Run the commands of a pipeline, passing the output of each command to the next one as its input.
+ * The output of the last command goes to the terminal, unless it's redirected into a file.
+ * If a command fails, its output is shown on the terminal instead (like an error message written to stderr) and the rest of the pipeline isn't run.
+ * @param {Pipeline} pipeline a pipeline with at least one command
+ * @param {CommandRegistry} registry
+ * @param {function(?string, ?OutputCapture): CommandContext} createContext creates the context of a command given its input
+ *                                                                         and where its output is captured, or `null` if its output goes to the terminal
+ * @return {CommandResult} the result of the last command that was run, or of writing the redirected output
+ */
+function runPipeline(pipeline, registry, createContext) {
+    console.assert(pipeline.commands.length > 0, "runPipeline() expects a pipeline with at least one command");
+    let stdin = null;
+    for (let i = 0; i < pipeline.commands.length; i++) {
+        const [name, ...args] = pipeline.commands[i];
+        const isLast = i === pipeline.commands.length - 1;
+        const capture = isLast && !pipeline.redirect ? null : new OutputCapture();
+        const result = registry.execute(createContext(stdin, capture), name, args);
+        if (!capture) {
+            return result;
+        }
+        if (!result.success) {
+            if (capture.chunks.length > 0) {
+                createContext(null, null).print(capture.text());
+            }
+            return result;
+        }
+        stdin = capture.text();
+    }
+    return redirectOutput(createContext(null, null), pipeline.redirect, stdin);
+}
+
+/**
+ * Write the output of a pipeline into a file.
+ * @param {CommandContext} ctx
+ * @param {{path: string, append: boolean}} redirect
+ * @param {string} output
+ * @return {CommandResult}
+ */
+function redirectOutput(ctx, redirect, output) {
+    const path = ctx.vfs.resolvePath(redirect.path);
+    try {
+        if (redirect.append) {
+            ctx.vfs.appendFile(path, output);
+        } else {
+            ctx.vfs.writeFile(path, output);
+        }
+    } catch (e) {
+        if (e instanceof VFileSystemError) {
+            const error = `shell: ${e.message}`;
+            ctx.print(error);
+            return {success: false, message: error};
+        }
+        throw e; // rethrow other errors
+    }
+    ctx.updateContext();
+    return {success: true, message: `The output was ${redirect.append ? "appended" : "written"} to ${path}`};
+}
+
+module.exports = {
+    OutputCapture, runPipeline
+};
@@ -0,0 +1,404 @@
+const fs = require("fs");
+const {Ajv, JSONSchemaType, ValidateFunction} = require("ajv");
+const {VFileSystem, VFileSystemError} = require("./virtual-file-system");
+const {sequenceSchema} = require("./sequencer");
+
+const ajv = new Ajv();
+
+/**
+ * How deeply triggers may cause each other, such as a trigger that sets a flag which fires another trigger.
+ * Deeper triggers are ignored, so that triggers that set each other's flags can't loop forever.
+ * @type {number}
+ */
+const MAX_TRIGGER_DEPTH = 16;
+
+/**
+ * Something that happened in the game which triggers may react to.
+ * @typedef TriggerEvent
+ * @prop {"open" | "enter-directory" | "command" | "flag"} event
+ * @prop {string} [path] the real path of the file that was opened or the directory that was entered
+ * @prop {string} [command] the name of the command that was run successfully
+ * @prop {string} [flag] the name of the flag that changed
+ * @prop {boolean} [value] the new value of the flag
+ */
+
+/**
+ * Which events a trigger reacts to; every property that is given must match the event.
+ * @typedef TriggerCondition
+ * @prop {"open" | "enter-directory" | "command" | "flag"} event
+ * @prop {string} [path] the absolute path of the file or directory, after symlinks are resolved
+ * @prop {string} [name] the name of the file or directory, wherever it is
+ * @prop {string} [command] the name of the command
+ * @prop {string} [flag] the name of the flag
+ * @prop {boolean} [value] the value the flag changed to; defaults to `true`
+ */
+
+/**
+ * Something a trigger does when it fires.
+ * @typedef TriggerEffect
+ * @prop {"set-flag" | "unlock-command" | "lock-command" | "reveal-file" | "print" | "play-sequence" | "send-context" | "register-actions" | "unregister-actions" | "force-actions"} type
+ * @prop {string} [flag] the flag to set, for `"set-flag"`
+ * @prop {boolean} [value] the value to set the flag to; defaults to `true`
+ * @prop {string} [command] the command to unlock or lock; it must be listed in {@link TriggerContent#lockedCommands}
+ * @prop {string[]} [commands] the commands whose Neuro actions are registered, unregistered or forced
+ * @prop {string} [query] what Neuro should do, for `"force-actions"`
+ * @prop {string} [state] a description of the situation that Neuro is forced to act in
+ * @prop {boolean} [ephemeral] whether Neuro forgets the query and state once it has chosen an action; defaults to `false`
+ * @prop {string} [path] the absolute path to put a file, directory or symlink at, for `"reveal-file"`
+ * @prop {VFile | VDirectory | VSymlink} [node] the file, directory or symlink to put there
+ * @prop {string} [message] the text to print to the terminal or send to Neuro as context
+ * @prop {SequenceLine[]} [steps] the sequence to play on the terminal, for `"play-sequence"`
+ * @prop {boolean} [silent] whether context sent to Neuro is silent; defaults to `false`
+ */
+
+/**
+ * A scripted game event: when an event matching the condition happens, the trigger's effects are applied in order.
+ * @typedef Trigger
+ * @prop {string} id a unique name for the trigger, used to remember whether it has fired
+ * @prop {TriggerCondition} on
+ * @prop {{flags?: Record<string, boolean>, user?: string}} [requires] flag values and a current user that are needed for the trigger to fire
+ * @prop {boolean} [repeat] whether the trigger fires every time; triggers only fire once by default
+ * @prop {TriggerEffect[]} effects
+ */
+
+/**
+ * The content of `triggers.json`.
+ * @typedef TriggerContent
+ * @prop {Record<string, string>} lockedCommands commands that are hidden until a flag is set, mapped to the name of that flag
+ * @prop {Trigger[]} triggers
+ */
+
+/**
+ * Schema for `triggers.json`
+ * @type JSONSchemaType<TriggerContent>
+ */
+const triggerContentSchema = {
+    type: "object",
+    properties: {
+        lockedCommands: {
+            type: "object",
+            additionalProperties: {type: "string"}
+        },
+        triggers: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    id: {type: "string", minLength: 1},
+                    on: {
+                        type: "object",
+                        properties: {
+                            event: {type: "string", enum: ["open", "enter-directory", "command", "flag"]},
+                            path: {type: "string", pattern: "^/"},
+                            name: {type: "string"},
+                            command: {type: "string"},
+                            flag: {type: "string"},
+                            value: {type: "boolean"}
+                        },
+                        required: ["event"],
+                        additionalProperties: false
+                    },
+                    requires: {
+                        type: "object",
+                        properties: {
+                            flags: {type: "object", additionalProperties: {type: "boolean"}},
+                            user: {type: "string"}
+                        },
+                        additionalProperties: false
+                    },
+                    repeat: {type: "boolean"},
+                    effects: {
+                        type: "array",
+                        items: {
+                            oneOf: [
+                                effectSchema("set-flag", {flag: {type: "string"}, value: {type: "boolean"}}, ["flag"]),
+                                effectSchema("unlock-command", {command: {type: "string"}}, ["command"]),
+                                effectSchema("lock-command", {command: {type: "string"}}, ["command"]),
+                                effectSchema("reveal-file", {path: {type: "string", pattern: "^/."}, node: {type: "object"}}, ["path", "node"]),
+                                effectSchema("print", {message: {type: "string"}}, ["message"]),
+                                effectSchema("play-sequence", {steps: sequenceSchema}, ["steps"]),
+                                effectSchema("send-context", {message: {type: "string"}, silent: {type: "boolean"}}, ["message"]),
+                                effectSchema("register-actions", {commands: {type: "array", items: {type: "string"}}}, ["commands"]),
+                                effectSchema("unregister-actions", {commands: {type: "array", items: {type: "string"}}}, ["commands"]),
+                                effectSchema("force-actions", {
+                                    query: {type: "string"},
+                                    state: {type: "string"},
+                                    commands: {type: "array", items: {type: "string"}, minItems: 1},
+                                    ephemeral: {type: "boolean"}
+                                }, ["query", "commands"])
+                            ]
+                        }
+                    }
+                },
+                required: ["id", "on", "effects"],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ["lockedCommands", "triggers"],
+    additionalProperties: false
+};
+/** @type ValidateFunction<TriggerContent> */
+const triggerContentValidator = ajv.compile(triggerContentSchema);
+
+/**
+ * @param {string} type
+ * @param {Object} properties the schemas of the effect's other properties
+ * @param {string[]} required
+ * @return {Object} the schema of a {@link TriggerEffect} of one type
+ */
+function effectSchema(type, properties, required) {
+    return {
+        type: "object",
+        properties: {type: {type: "string", const: type}, ...properties},
+        required: ["type", ...required],
+        additionalProperties: false
+    };
+}
+
+/**
+ * Read a scenario's `triggers.json`.
+ * @param {string} filePath the absolute path of the file
+ * @return {TriggerContent | null} the locked commands and triggers or `null` if the file isn't valid
+ */
+function loadTriggers(filePath) {
+    let content;
+    try {
+        content = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    } catch (e) {
+        console.error(`Failed to read ${filePath}:`, e);
+        return null;
+    }
+    if (!triggerContentValidator(content)) {
+        console.error(`Error validating ${filePath}: ${ajv.errorsText(triggerContentValidator.errors)}`);
+        return null;
+    }
+    const ids = new Set();
+    for (const trigger of content.triggers) {
+        if (ids.has(trigger.id)) {
+            console.error(`Error validating ${filePath}: there is more than one trigger with the id "${trigger.id}"`);
+            return null;
+        }
+        ids.add(trigger.id);
+        for (const effect of trigger.effects) {
+            if ((effect.type === "unlock-command" || effect.type === "lock-command") && !content.lockedCommands[effect.command]) {
+                console.error(`Error validating ${filePath}: trigger "${trigger.id}" unlocks or locks "${effect.command}", which isn't in lockedCommands`);
+                return null;
+            }
+            if (effect.type === "reveal-file" && !isValidNode(effect.node, effect.path)) {
+                console.error(`Error validating ${filePath}: trigger "${trigger.id}" reveals an invalid file at "${effect.path}"`);
+                return null;
+            }
+        }
+    }
+    return content;
+}
+
+/**
+ * @param {Object} node a file, directory or symlink from `triggers.json`
+ * @param {string} path the absolute path it's revealed at
+ * @return {boolean} whether the node is valid; its name is taken from the path
+ */
+function isValidNode(node, path) {
+    const name = path.split("/").at(-1);
+    // the node is validated as the only child of a directory, since the schema describes a whole directory tree
+    return Boolean(VFileSystem.parseDirectory(JSON.stringify({name: "", type: "directory", children: {[name]: {...node, name: name}}})));
+}
+
+/**
+ * Runs the scripted events of the game: fires triggers in response to {@link TriggerEvent}s and decides which commands are locked.
+ * Which triggers have fired is part of the game state, so it's saved and restored along with the flags.
+ * @prop {Record<string, string>} lockedCommands commands that are hidden until a flag is set, mapped to the name of that flag
+ * @prop {Trigger[]} triggers
+ * @prop {Set<string>} fired the IDs of the triggers that have fired and won't fire again
+ * @prop {number} depth how many triggers are currently firing inside each other
+ */
+class TriggerEngine {
+    /**
+     * @param {TriggerContent} content
+     */
+    constructor(content) {
+        this.lockedCommands = content.lockedCommands;
+        this.triggers = content.triggers;
+        this.fired = new Set();
+        this.depth = 0;
+    }
+
+    /**
+     * Forget which triggers have fired, for a new game.
+     */
+    reset() {
+        this.fired.clear();
+    }
+
+    /**
+     * @param {string[]} firedIds the IDs of the triggers that have fired in a saved game
+     */
+    restore(firedIds) {
+        this.fired = new Set(firedIds);
+    }
+
+    /**
+     * @param {string} commandName
+     * @param {GameFlags} flags
+     * @return {boolean} whether the command is hidden because the flag that unlocks it hasn't been set
+     */
+    isLocked(commandName, flags) {
+        const flag = this.lockedCommands[commandName];
+        return flag !== undefined && !flags[flag];
+    }
+
+    /**
+     * Fire the triggers that react to an event and meet their requirements, in the order they're defined.
+     * @param {CommandContext} ctx the context that the effects are applied in; its output should go to the terminal
+     * @param {TriggerEvent} event
+     */
+    emit(ctx, event) {
+        if (this.depth >= MAX_TRIGGER_DEPTH) {
+            console.error(`Ignoring the "${event.event}" event because triggers are firing ${MAX_TRIGGER_DEPTH} levels deep; do some triggers fire each other?`);
+            return;
+        }
+        this.depth++;
+        try {
+            for (const trigger of this.triggers) {
+                if (this.fired.has(trigger.id) || !matchesEvent(trigger.on, event) || !meetsRequirements(trigger.requires, ctx)) {
+                    continue;
+                }
+                if (!trigger.repeat) {
+                    this.fired.add(trigger.id);
+                }
+                console.info(`Trigger "${trigger.id}" fired`);
+                for (const effect of trigger.effects) {
+                    this.applyEffect(ctx, effect);
+                }
+            }
+        } finally {
+            this.depth--;
+        }
+    }
+
+    /**
+     * Change a flag, firing the triggers that react to it.
+     * If the flag unlocks or locks commands, their Neuro actions are registered or unregistered.
+     * @param {CommandContext} ctx
+     * @param {string} flag
+     * @param {boolean} value
+     */
+    setFlag(ctx, flag, value) {
+        if (Boolean(ctx.flags[flag]) === value) {
+            return;
+        }
+        ctx.flags[flag] = value;
+        const commandNames = Object.keys(this.lockedCommands).filter(name => this.lockedCommands[name] === flag);
+        if (commandNames.length > 0) {
+            if (value) {
+                // if Neuro's action caused this, the actions are registered once its result has been sent
+                ctx.neuroIntegration.registerActions(ctx.registry.toActions(ctx, commandNames));
+            } else {
+                ctx.neuroIntegration.unregisterActions(getActionNames(ctx.registry, commandNames));
+            }
+        }
+        this.emit(ctx, {event: "flag", flag: flag, value: value});
+    }
+
+    /**
+     * @param {CommandContext} ctx
+     * @param {TriggerEffect} effect
+     */
+    applyEffect(ctx, effect) {
+        switch (effect.type) {
+            case "set-flag":
+                this.setFlag(ctx, effect.flag, effect.value ?? true);
+                break;
+            case "unlock-command":
+                this.setFlag(ctx, this.lockedCommands[effect.command], true);
+                break;
+            case "lock-command":
+                this.setFlag(ctx, this.lockedCommands[effect.command], false);
+                break;
+            case "reveal-file":
+                try {
+                    ctx.vfs.reveal(effect.path, effect.node);
+                } catch (e) {
+                    if (e instanceof VFileSystemError) {
+                        console.error(`Failed to reveal "${effect.path}": ${e.message}`);
+                        break;
+                    }
+                    throw e; // rethrow other errors
+                }
+                break;
+            case "print":
+                ctx.print(effect.message);
+                break;
+            case "play-sequence":
+                ctx.playSequence(effect.steps);
+                break;
+            case "send-context":
+                // unlike ctx.sendContext(), this reaches Neuro even when Neuro ran the command that fired the trigger
+                ctx.neuroIntegration.sendContext(effect.message, effect.silent ?? false);
+                break;
+            case "register-actions":
+                ctx.neuroIntegration.registerActions(ctx.registry.toActions(ctx, effect.commands));
+                break;
+            case "unregister-actions":
+                ctx.neuroIntegration.unregisterActions(getActionNames(ctx.registry, effect.commands));
+                break;
+            case "force-actions":
+                ctx.neuroIntegration.forceActions(effect.query, effect.state ?? null, getActionNames(ctx.registry, effect.commands), effect.ephemeral ?? false);
+                break;
+            default:
+                console.error(`Unknown trigger effect "${effect.type}"`);
+        }
+    }
+}
+
+/**
+ * @param {TriggerCondition} condition
+ * @param {TriggerEvent} event
+ * @return {boolean}
+ */
+function matchesEvent(condition, event) {
+    if (condition.event !== event.event) {
+        return false;
+    }
+    switch (event.event) {
+        case "open":
+        case "enter-directory":
+            return (condition.path === undefined || condition.path === event.path)
+                && (condition.name === undefined || condition.name === event.path.split("/").at(-1));
+        case "command":
+            return condition.command === undefined || condition.command === event.command;
+        case "flag":
+            return (condition.flag === undefined || condition.flag === event.flag) && (condition.value ?? true) === event.value;
+        default:
+            return false;
+    }
+}
+
+/**
+ * @param {{flags?: Record<string, boolean>, user?: string} | undefined} requires
+ * @param {CommandContext} ctx
+ * @return {boolean}
+ */
+function meetsRequirements(requires, ctx) {
+    if (!requires) {
+        return true;
+    }
+    if (requires.user !== undefined && requires.user !== ctx.vfs.curUser) {
+        return false;
+    }
+    return Object.entries(requires.flags || {}).every(([flag, value]) => Boolean(ctx.flags[flag]) === value);
+}
+
+/**
+ * @param {CommandRegistry} registry
+ * @param {string[]} commandNames
+ * @return {string[]} the names of the commands' Neuro actions
+ */
+function getActionNames(registry, commandNames) {
+    return commandNames.map(name => registry.get(name)?.action?.name).filter(name => name);
+}
+
+module.exports = {
+    TriggerEngine, loadTriggers
+};
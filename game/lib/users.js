@@ -0,0 +1,112 @@
+const {Ajv, ValidateFunction} = require("ajv");
+const usersSchemaObj = require("./users-schema.json");
+const {verifyPassword} = require("./password-hash");
+
+/** @type Ajv */
+const ajv = new Ajv();
+/** @type {ValidateFunction<UserDatabase> | null} */
+let usersValidator = null;
+try {
+    usersValidator = ajv.compile(usersSchemaObj);
+} catch (e) {
+    console.error("Failed to set up validator for User Database JSON Schema", e);
+}
+
+/**
+ * The user that is allowed to do anything, regardless of permissions.
+ * @type {string}
+ */
+const ROOT_USER = "root";
+
+/**
+ * A user account of the virtual machine.
+ * @typedef VUser
+ * @prop {string} name the name of the user; also the name of the user's own group
+ * @prop {string | null} passwordHash the user's password hashed with {@link hashPassword}; `""` if no password is needed and `null` if the account can't be logged into
+ * @prop {string[]} groups the groups the user belongs to besides their own group
+ * @prop {string} home the absolute path of the user's home directory
+ */
+
+/**
+ * The user accounts of the virtual machine.
+ * @prop {Record<string, VUser>} users the user accounts, keyed by name
+ * @prop {string} defaultUser the name of the user that the game starts as
+ */
+class UserDatabase {
+    constructor(users, defaultUser) {
+        console.assert(users && typeof users === "object", "users must be an object");
+        console.assert(users[defaultUser], `the default user "${defaultUser}" must exist`);
+        this.users = users;
+        this.defaultUser = defaultUser;
+    }
+
+    /**
+     * @param {string} name
+     * @return {VUser | null} the user with the name or `null` if none exists
+     */
+    get(name) {
+        return Object.hasOwn(this.users, name) ? this.users[name] : null;
+    }
+
+    /**
+     * @param {string} userName
+     * @param {string} group
+     * @return {boolean} whether the user belongs to the group
+     */
+    isInGroup(userName, group) {
+        const user = this.get(userName);
+        return Boolean(user) && (user.name === group || user.groups.includes(group));
+    }
+
+    /**
+     * @param {string} userName
+     * @return {boolean} whether the user can be logged into without a password
+     */
+    isPasswordless(userName) {
+        return this.get(userName)?.passwordHash === "";
+    }
+
+    /**
+     * @param {string} userName
+     * @param {string | undefined} password
+     * @return {boolean} whether the password is correct; always `false` for accounts that can't be logged into
+     */
+    authenticate(userName, password) {
+        const user = this.get(userName);
+        if (!user || user.passwordHash === null) {
+            return false;
+        }
+        return user.passwordHash === "" || verifyPassword(password || "", user.passwordHash);
+    }
+
+    /**
+     * @param {string} json a JSON string in the format of `users.json`
+     * @return {UserDatabase | null} the user database or `null` if it couldn't be loaded
+     */
+    static fromJsonString(json) {
+        try {
+            const obj = JSON.parse(json);
+            if (usersValidator) {
+                const valid = usersValidator(obj);
+                if (!valid) {
+                    console.error(`Error validating User Database JSON: ${ajv.errorsText(usersValidator.errors)}`);
+                    return null;
+                }
+            } else {
+                console.warn("User Database validator is not set up, so the loaded JSON will not be validated");
+            }
+            if (!obj.users[obj.defaultUser]) {
+                console.error(`The default user "${obj.defaultUser}" doesn't exist`);
+                return null;
+            }
+            return new UserDatabase(obj.users, obj.defaultUser);
+        } catch (e) {
+            console.error("Failed to parse User Database from string", e);
+            return null;
+        }
+    }
+}
+
+module.exports = {
+    UserDatabase, ROOT_USER
+};
@@ -2,6 +2,9 @@
 const _path = require("path").posix;
 const {Ajv, ValidateFunction} = require("ajv");
 const vfsSchemaObj = require("./vfs-schema.json");
+const {htmlToMarkdown} = require("./html-to-text");
+const {DEFAULT_HEX_BYTE_COUNT} = require("../public/js/hex-dump");
+const {UserDatabase, ROOT_USER} = require("./users");
 
 /** @type Ajv */
 const ajv = new Ajv();
@@ -13,39 +16,98 @@ try {
     console.error("Failed to set up validator for Virtual File System JSON Schema", e);
 }
 
+/** The mode of files that don't specify one; `rw-r--r--` */
+const DEFAULT_FILE_MODE = "644";
+/** The mode of directories that don't specify one; `rwxr-xr-x` */
+const DEFAULT_DIRECTORY_MODE = "755";
+
+/**
+ * The bit of each permission within a class (owner, group or others) of a mode.
+ * @type {Record<Permission, number>}
+ */
+const PERMISSION_BITS = {r: 4, w: 2, x: 1};
+
+/**
+ * `"r"` to read a file or list a directory, `"w"` to change a file or the contents of a directory,
+ * and `"x"` to enter a directory or access anything inside it.
+ * @typedef {"r" | "w" | "x"} Permission
+ */
+
+/**
+ * The mode of every symlink; like on Linux, the permissions of a symlink's target are what matter. `rwxrwxrwx`
+ */
+const SYMLINK_MODE = "777";
+
+/**
+ * How many symlinks can be followed while looking up a path before it's considered a loop, like `ELOOP` on Linux.
+ */
+const MAX_SYMLINKS_FOLLOWED = 40;
+
+/**
+ * The units used by {@link displaySize}, each 1024 times the previous one.
+ * @type {string[]}
+ */
+const SIZE_UNITS = ["B", "KB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"];
+
+/**
+ * The result of {@link VFileSystem#lookup}.
+ * @typedef VLookupResult
+ * @prop {VFile | VDirectory | VSymlink} node the file, directory or symlink that was found
+ * @prop {string} path the real path of `node`, which doesn't go through any symlinks
+ * @prop {{dir: VDirectory, path: string}[]} ancestors the directories above `node` along its real path, starting with the root directory
+ */
+
+/**
+ * A file system mounted on a directory of another file system.
+ * @typedef VMount
+ * @prop {VDirectory} root the root directory of the mounted file system
+ * @prop {?string} host the name of the machine the file system belongs to, which can be connected to with `ssh`
+ */
+
 /**
  * A file in a virtual file system.
  * @prop {string} name the name of this file; includes the extension, if there is one; should not contain `/` characters
  * @prop {"file"} type discriminator for files and directories
- * @prop {"text" | "descriptive" | "html"} contentType the type of data this file holds; a `"text"` file can be directly displayed to the terminal;
- *                                                     `"descriptive"` files are displayed via a pre-written description;
- *                                                     `"html"` files should have their content rendered as html
+ * @prop {"text" | "descriptive" | "html" | "image" | "hex"} contentType the type of data this file holds; a `"text"` file can be directly displayed to the terminal;
+ *                                                                     `"descriptive"` files are displayed via a pre-written description;
+ *                                                                     `"html"` files should have their content rendered as html;
+ *                                                                     `"image"` files display the image at `src` and use their content as its alt text;
+ *                                                                     `"hex"` files display a fake hex dump generated from `seed` along with their description
  * @prop {string} content the content of this file
  * @prop {string} size a string representation of the size of a file, such as `"6.1 KB"` or `"1.5 GB"`; this can be calculated automatically for `"text"` files
- * @prop {string | null} password the password locking this file
+ * @prop {string} owner the name of the user that owns this file
+ * @prop {string} group the name of the group that owns this file
+ * @prop {string} mode the permissions of this file as three octal digits, such as `"644"`
+ * @prop {string} [src] for `"image"` files, the path of the image asset served from the `public` directory, such as `"/assets/image.svg"`
+ * @prop {string} [seed] for `"hex"` files, the seed used to generate the fake binary data
+ * @prop {number} [byteCount] for `"hex"` files, the number of bytes of fake binary data to display; defaults to {@link DEFAULT_HEX_BYTE_COUNT}
  * @see newTextFile
  * @see newDescriptiveFile
+ * @see newHtmlFile
+ * @see newImageFile
+ * @see newHexFile
  */
 class VFile {
-    constructor(name, password = null) {
+    constructor(name, owner = ROOT_USER, group = owner, mode = DEFAULT_FILE_MODE) {
         console.assert(typeof name === "string", "name must be a string");
         console.assert(!name.includes("/"), "name must not contain \"/\" characters");
         this.name = name;
         this.type = "file";
-        this.password = password;
+        this.owner = owner;
+        this.group = group;
+        this.mode = mode;
     }
 
     /**
      * Create a new virtual text file.
      * @param {string} name the name of the file
      * @param {string} content the text contents of the file
-     * @param {string | null} password the password locking this file
      * @returns {VFile} the newly created file
      */
-    static newTextFile(name, content, password = null) {
-        const file = new VFile(name, password);
+    static newTextFile(name, content) {
+        const file = new VFile(name);
         file.contentType = "text";
-        console.assert(content && typeof content === "string", "content must be a string");
+        console.assert(typeof content === "string", "content must be a string");
         file.content = content;
         file.size = displaySize(content.length); // assuming 1 character is 1 byte
         return file;
@@ -56,17 +118,71 @@ class VFile {
      * @param {string} name the name of the file
      * @param {string} description a plaintext description of what this file contains
      * @param {string} size a string representation of the size of this file such as `"6.1 KB"` or `"1.5 GB"`
-     * @param {string | null} password the password locking this file
      * @returns {VFile}
      */
-    static newDescriptiveFile(name, description, size, password = null) {
-        const file = new VFile(name, password);
+    static newDescriptiveFile(name, description, size) {
+        const file = new VFile(name);
         file.contentType = "descriptive";
         console.assert(description && typeof description === "string", "description must be a string");
         file.content = description;
         file.size = size || ""; // fallback to an empty string for size
         return file;
     }
+
+    /**
+     * Create a new virtual HTML file.
+     * @param {string} name the name of the file
+     * @param {string} html the HTML contents of the file
+     * @returns {VFile}
+     */
+    static newHtmlFile(name, html) {
+        const file = new VFile(name);
+        file.contentType = "html";
+        console.assert(html && typeof html === "string", "html must be a string");
+        file.content = html;
+        file.size = displaySize(html.length); // assuming 1 character is 1 byte
+        return file;
+    }
+
+    /**
+     * Create a new virtual image file.
+     * @param {string} name the name of the file
+     * @param {string} src the path of the image asset served from the `public` directory, such as `"/assets/image.svg"`
+     * @param {string} altText a plaintext description of the image; this is what Neuro receives
+     * @param {string} size a string representation of the size of this file such as `"6.1 KB"` or `"1.5 GB"`
+     * @returns {VFile}
+     */
+    static newImageFile(name, src, altText, size) {
+        const file = new VFile(name);
+        file.contentType = "image";
+        console.assert(src && typeof src === "string" && src.startsWith("/"), "src must be an absolute path");
+        console.assert(altText && typeof altText === "string", "altText must be a string");
+        file.src = src;
+        file.content = altText;
+        file.size = size || ""; // fallback to an empty string for size
+        return file;
+    }
+
+    /**
+     * Create a new virtual binary file that is displayed as a hex dump.
+     * @param {string} name the name of the file
+     * @param {string} description a plaintext description of what this file contains; this is what Neuro receives
+     * @param {string} seed the seed used to generate the fake binary data
+     * @param {string} size a string representation of the size of this file such as `"6.1 KB"` or `"1.5 GB"`
+     * @param {number} byteCount the number of bytes of fake binary data to display
+     * @returns {VFile}
+     */
+    static newHexFile(name, description, seed, size, byteCount = DEFAULT_HEX_BYTE_COUNT) {
+        const file = new VFile(name);
+        file.contentType = "hex";
+        console.assert(description && typeof description === "string", "description must be a string");
+        console.assert(typeof seed === "string", "seed must be a string");
+        file.content = description;
+        file.seed = seed;
+        file.byteCount = byteCount;
+        file.size = size || ""; // fallback to an empty string for size
+        return file;
+    }
 }
 
 /**
@@ -78,31 +194,95 @@ function displaySize(numBytes) {
     if (typeof numBytes !== "number" || isNaN(numBytes) || numBytes < 0) {
         throw new Error("Input must be a non-negative number.");
     }
-    const units = ["B", "KB", "MB", "GB", "TB", "PB", "EB", "ZB", "YB"];
     let index = 0;
-    while (numBytes >= 1024 && index < units.length - 1) {
+    while (numBytes >= 1024 && index < SIZE_UNITS.length - 1) {
         numBytes /= 1024;
         index++;
     }
-    return `${numBytes.toFixed(2)} ${units[index]}`;
+    return `${numBytes.toFixed(2)} ${SIZE_UNITS[index]}`;
+}
+
+/**
+ * Convert a size like the ones created by {@link displaySize} back into a number of bytes.
+ * Sizes in `vfs.json` are written by hand, so the unit may be in any case and the number doesn't need decimals.
+ * @param {string} size a string representation of a size, such as `"6.1 KB"`
+ * @return {number | null} the number of bytes or `null` if the size isn't in that format (such as `"???"`)
+ */
+function parseSize(size) {
+    const match = /^(\d+(?:\.\d+)?)\s*([KMGTPEZY]?B)$/i.exec(size?.trim() ?? "");
+    if (!match) {
+        return null;
+    }
+    return parseFloat(match[1]) * 1024 ** SIZE_UNITS.indexOf(match[2].toUpperCase());
 }
 
 /**
  * A directory in a virtual file system.
  * @prop {string} name the name of this directory; should only be empty for the root directory
  * @prop {"directory"} type discriminator for files and directories
+ * @prop {string} owner the name of the user that owns this directory
+ * @prop {string} group the name of the group that owns this directory
+ * @prop {string} mode the permissions of this directory as three octal digits, such as `"755"`
  * @prop {Record<string, VFile | VDirectory>} children
  */
 class VDirectory {
-    constructor(name) {
+    constructor(name, owner = ROOT_USER, group = owner, mode = DEFAULT_DIRECTORY_MODE) {
         console.assert(typeof name === "string", "name must be a string");
         console.assert(!name.includes("/"), "name must not contain \"/\" characters");
         this.name = name;
         this.type = "directory";
+        this.owner = owner;
+        this.group = group;
+        this.mode = mode;
         this.children = {};
     }
 }
 
+/**
+ * A symbolic link to another path in a virtual file system.
+ * @prop {string} name the name of this symlink
+ * @prop {"symlink"} type discriminator for files, directories and symlinks
+ * @prop {string} target the path this symlink points to; relative targets are relative to the directory containing the symlink
+ * @prop {string} owner the name of the user that owns this symlink
+ * @prop {string} group the name of the group that owns this symlink
+ * @prop {string} mode always {@link SYMLINK_MODE}
+ */
+class VSymlink {
+    constructor(name, target, owner = ROOT_USER, group = owner) {
+        console.assert(typeof name === "string", "name must be a string");
+        console.assert(!name.includes("/"), "name must not contain \"/\" characters");
+        console.assert(target && typeof target === "string", "target must be a non-empty string");
+        this.name = name;
+        this.type = "symlink";
+        this.target = target;
+        this.owner = owner;
+        this.group = group;
+        this.mode = SYMLINK_MODE;
+    }
+}
+
+/**
+ * Fill in the owner, group and mode of every file and directory that doesn't specify them.
+ * Files and directories without an owner or group inherit them from their parent directory, so that only the top of a tree needs to specify them.
+ * @param {VFile | VDirectory} node
+ * @param {string} owner the owner of the parent directory
+ * @param {string} group the group of the parent directory
+ */
+function applyDefaultPermissions(node, owner = ROOT_USER, group = ROOT_USER) {
+    node.owner ??= owner;
+    node.group ??= group;
+    if (node.type === "symlink") {
+        node.mode = SYMLINK_MODE;
+    } else {
+        node.mode ??= node.type === "directory" ? DEFAULT_DIRECTORY_MODE : DEFAULT_FILE_MODE;
+    }
+    if (node.type === "directory") {
+        for (const child of Object.values(node.children)) {
+            applyDefaultPermissions(child, node.owner, node.group);
+        }
+    }
+}
+
 /**
  * Get a child (a file or directory) of a directory by name.
  * @param dir the directory
@@ -122,47 +302,153 @@ function getChild(dir, name) {
  * @prop {VDirectory} rootDir the root directory; expected to have an empty name
  * @prop {string} curPath the path pointing to the user's current directory; should never be empty; the root directory is `"/"`
  * @prop {VDirectory} curDir the user's current directory; should never be `undefined` or `null`
+ * @prop {UserDatabase} users the user accounts that can own files and directories
+ * @prop {string} curUser the name of the user that file system operations are performed as
+ * @prop {Record<string, VMount>} mounts the file systems mounted on directories of this one, keyed by the real path of their mount point
  */
 class VFileSystem {
-    constructor(rootDir) {
+    constructor(rootDir, users = new UserDatabase({[ROOT_USER]: {name: ROOT_USER, passwordHash: null, groups: [], home: "/"}}, ROOT_USER)) {
         this.curPath = "/";
         if (rootDir) {
             this.rootDir = rootDir;
         } else {
             this.rootDir = new VDirectory("");
         }
-        this.curDir = rootDir;
+        applyDefaultPermissions(this.rootDir);
+        this.curDir = this.rootDir;
+        this.users = users;
+        this.curUser = users.defaultUser;
+        this.mounts = {};
+    }
+
+    /**
+     * Mount another file system on a directory, hiding the directory's own contents until it's unmounted.
+     * @param {string} path the absolute path of an existing directory
+     * @param {VDirectory} root the root directory of the file system to mount
+     * @param {?string} host the name of the machine the file system belongs to, if it can be connected to with `ssh`
+     * @throws {VFileSystemError} if the path isn't a directory or already has a file system mounted on it
+     */
+    mount(path, root, host = null) {
+        const {node, path: realPath} = this.lookup(path);
+        if (node.type !== "directory") {
+            throw new VFileSystemError(`"${path}" is not a directory`);
+        } else if (this.mounts[realPath] || node === this.rootDir) {
+            throw new VFileSystemError(`"${path}" is already a mount point`);
+        }
+        applyDefaultPermissions(root);
+        root.name = "";
+        this.mounts[realPath] = {root: root, host: host};
+    }
+
+    /**
+     * @param {string} host the name of a machine
+     * @return {?string} the real path that the machine's file system is mounted on, or `null` if it isn't mounted
+     */
+    findHost(host) {
+        return Object.keys(this.mounts).find(path => this.mounts[path].host === host) ?? null;
+    }
+
+    /**
+     * @param {string} path a real path
+     * @return {boolean} whether the path is a mount point or contains one
+     */
+    containsMountPoint(path) {
+        return Object.keys(this.mounts).some(mountPath => mountPath === path || mountPath.startsWith(path === "/" ? "/" : path + "/"));
+    }
+
+    /**
+     * Convert a path into a normalized absolute path.
+     * @param {string} path an absolute path or a path relative to the working directory
+     * @return {string} the normalized absolute path without a trailing `/` (unless it's the root directory)
+     */
+    resolvePath(path) {
+        console.assert(typeof path === "string", `resolvePath expects a string argument, actual argument was type "${typeof path}"`);
+        let absPath;
+        if (path.startsWith("/")) {
+            absPath = _path.normalize(path);
+        } else {
+            absPath = _path.join(this.curPath, path);
+        }
+        if (absPath.length > 1 && absPath.endsWith("/")) {
+            absPath = absPath.slice(0, -1);
+        }
+        return absPath;
+    }
+
+    /**
+     * Find the file, directory or symlink at a path.
+     * Symlinks along the way are followed, and the root of a mounted file system is used in place of its mount point.
+     * @param {string} path an absolute path
+     * @param {boolean} followLast whether a symlink at the end of the path is followed as well; otherwise the symlink itself is found
+     * @return {VLookupResult}
+     * @throws {VFileSystemError} if the path doesn't exist or runs into a symlink loop
+     */
+    lookup(path, followLast = true) {
+        console.assert(typeof path === "string" && path.at(0) === "/", "lookup expects an absolute path argument");
+        let components = _path.normalize(path).split("/").filter(x => x);
+        let symlinksFollowed = 0;
+        restart:
+        while (true) {
+            /** @type {VFile | VDirectory | VSymlink} */
+            let node = this.rootDir;
+            let realPath = ""; // for troubleshooting and error messages
+            /** @type {{dir: VDirectory, path: string}[]} */
+            const ancestors = [];
+            for (let i = 0; i < components.length; i++) {
+                console.assert(node, "node should never be falsy");
+                if (node.type !== "directory") {
+                    throw new VFileSystemError(`"${realPath}" is a file, not a directory`);
+                }
+                ancestors.push({dir: node, path: realPath || "/"});
+                const childPath = `${realPath}/${components[i]}`;
+                const child = getChild(node, components[i]);
+                if (!child) {
+                    throw new VFileSystemError(`"${childPath}" does not exist`);
+                }
+                if (child.type === "symlink" && (followLast || i < components.length - 1)) {
+                    if (++symlinksFollowed > MAX_SYMLINKS_FOLLOWED) {
+                        throw new VFileSystemError(`"${path}" has too many levels of symbolic links`);
+                    }
+                    // start over with the target in place of the symlink; everything before the symlink is already a real path
+                    const target = _path.resolve(realPath || "/", child.target);
+                    components = [...target.split("/").filter(x => x), ...components.slice(i + 1)];
+                    continue restart;
+                }
+                node = child.type === "directory" && this.mounts[childPath] ? this.mounts[childPath].root : child;
+                realPath = childPath;
+            }
+            return {node: node, path: realPath || "/", ancestors: ancestors};
+        }
     }
 
     /**
      * Change directories with the virtual file system.
+     * The working directory is always a real path; symlinks are resolved while changing to it.
      * @param {string} newPath the absolute path to change to
+     * @param {boolean} checkPermissions whether the current user needs permission to enter the directory;
+     *                                   only disable this to restore a working directory that was entered before
+     * @throws {VFileSystemError} if the directory doesn't exist or the current user isn't allowed to enter it
      */
-    changeDirectory(newPath) {
+    changeDirectory(newPath, checkPermissions = true) {
         console.assert(typeof newPath === "string" && newPath.length > 0, `changeDirectory expects a non-empty string argument, actual argument was type "${typeof newPath}`);
         console.assert(newPath.at(0) === "/", "changeDirectory expects an absolute path argument");
-        if (newPath === "/") {
-            this.curPath = "/";
-            this.curDir = this.rootDir;
-            return;
-        }
-        const components = newPath.split("/").slice(1); // skip the root directory
-        let curDir = this.rootDir;
-        let partialPath = ""; // for troubleshooting and error messages
-        for (const component of components) {
-            console.assert(curDir, "curDir should never be falsy");
-            partialPath += "/" + component;
-            const child = getChild(curDir, component);
-            if (!child) {
-                throw new VFileSystemError(`The directory "${newPath}" does not exist; "${partialPath}" does not exist`);
-            } else if (child.type === "file") {
-                throw new VFileSystemError(`The directory "${newPath}" does not exist; "${partialPath}" is a file, not a directory`);
-            } else {
-                curDir = child;
+        let result;
+        try {
+            result = this.lookup(newPath);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                throw new VFileSystemError(`The directory "${newPath}" does not exist; ${e.message}`);
             }
+            throw e; // rethrow other errors
         }
-        this.curPath = newPath;
-        this.curDir = curDir;
+        if (result.node.type !== "directory") {
+            throw new VFileSystemError(`The directory "${newPath}" does not exist; "${result.path}" is a file, not a directory`);
+        }
+        if (checkPermissions) {
+            this.checkAccess(result.path, "x");
+        }
+        this.curPath = result.path;
+        this.curDir = result.node;
     }
 
     /**
@@ -174,26 +460,19 @@ class VFileSystem {
     getDir(path) {
         console.assert(typeof path === "string" && path.length > 0, `getDir expects a non-empty string argument, actual argument was type "${typeof path}`);
         console.assert(path.at(0) === "/", "getDir expects an absolute path argument");
-        if (path === "/") {
-            return this.rootDir;
-        }
-        path = _path.normalize(path);
-        const components = path.split("/").slice(1); // skip the root directory
-        let curDir = this.rootDir;
-        let partialPath = ""; // for troubleshooting and error messages
-        for (const component of components) {
-            console.assert(curDir, "curDir should never be falsy");
-            partialPath += "/" + component;
-            const child = getChild(curDir, component);
-            if (!child) {
-                throw new VFileSystemError(`The directory "${path}" does not exist; "${partialPath}" does not exist`);
-            } else if (child.type === "file") {
-                throw new VFileSystemError(`The directory "${path}" does not exist; "${partialPath}" is a file, not a directory`);
-            } else {
-                curDir = child;
+        let result;
+        try {
+            result = this.lookup(path);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                throw new VFileSystemError(`The directory "${path}" does not exist; ${e.message}`);
             }
+            throw e; // rethrow other errors
+        }
+        if (result.node.type !== "directory") {
+            throw new VFileSystemError(`The directory "${path}" does not exist; "${result.path}" is a file, not a directory`);
         }
-        return curDir;
+        return result.node;
     }
 
     /**
@@ -205,26 +484,543 @@ class VFileSystem {
     getFile(path) {
         console.assert(typeof path === "string" && path.length > 0, `getFile expects a non-empty string argument, actual argument was type "${typeof path}`);
         console.assert(path.at(0) === "/", "getFile expects an absolute path argument");
-        const parsedPath = _path.parse(path);
-        const dirPath = parsedPath.dir;
-        const dir = this.getDir(dirPath); // will throw if dirPath doesn't exist or isn't a directory
-        const fileName = `${parsedPath.name}${parsedPath.ext}`;
-        const child = getChild(dir, fileName);
-        if (!child) {
-            throw new VFileSystemError(`The file "${fileName}" does not exist in the directory "${dirPath}"`);
-        } else if (child.type === "directory") {
-            throw new VFileSystemError(`The path "${fileName}" points to a directory, not a file`);
-        } else {
-            return child;
+        let result;
+        try {
+            result = this.lookup(path);
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                throw new VFileSystemError(`The file "${path}" does not exist; ${e.message}`);
+            }
+            throw e; // rethrow other errors
+        }
+        if (result.node.type === "directory") {
+            throw new VFileSystemError(`The path "${path}" points to a directory, not a file`);
+        }
+        return result.node;
+    }
+
+    /**
+     * Retrieve a file, directory or symlink given a path.
+     * @param {string} path the absolute path to retrieve a file or directory at
+     * @param {boolean} followLast whether a symlink at the path is followed; otherwise the symlink itself is returned
+     * @return {VFile | VDirectory | VSymlink}
+     * @throws {VFileSystemError} if the provided path doesn't exist
+     */
+    getNode(path, followLast = true) {
+        console.assert(typeof path === "string" && path.length > 0, `getNode expects a non-empty string argument, actual argument was type "${typeof path}`);
+        console.assert(path.at(0) === "/", "getNode expects an absolute path argument");
+        return this.lookup(path, followLast).node;
+    }
+
+    /**
+     * @param {string} path an absolute path
+     * @param {boolean} followLast whether a symlink at the path is followed; a broken symlink only exists if this is `false`
+     * @return {boolean} whether a file or directory exists at the path
+     */
+    exists(path, followLast = true) {
+        try {
+            this.getNode(path, followLast);
+            return true;
+        } catch (e) {
+            if (e instanceof VFileSystemError) {
+                return false;
+            }
+            throw e; // rethrow other errors
+        }
+    }
+
+    /**
+     * Retrieve the directory containing a path; the path itself doesn't need to exist.
+     * @param {string} path an absolute path other than the root directory
+     * @return {{parent: VDirectory, name: string}} the parent directory and the last component of the path
+     * @throws {VFileSystemError} if the parent directory doesn't exist or the path is the root directory
+     */
+    getParent(path) {
+        const parsedPath = _path.parse(_path.normalize(path));
+        if (!parsedPath.base) {
+            throw new VFileSystemError("The root directory doesn't have a parent directory");
+        }
+        return {parent: this.getDir(parsedPath.dir), name: parsedPath.base};
+    }
+
+    /**
+     * @param {VFile | VDirectory} node
+     * @param {Permission} permission
+     * @return {boolean} whether the current user has the permission for the file or directory;
+     *                   the owner's permissions apply to its owner, the group's permissions to members of its group, and the others' permissions to everyone else
+     */
+    hasPermission(node, permission) {
+        if (this.curUser === ROOT_USER) {
+            return true;
+        }
+        const mode = parseInt(node.mode, 8);
+        let shift = 0;
+        if (node.owner === this.curUser) {
+            shift = 6;
+        } else if (this.users.isInGroup(this.curUser, node.group)) {
+            shift = 3;
+        }
+        return ((mode >> shift) & PERMISSION_BITS[permission]) !== 0;
+    }
+
+    /**
+     * Check that the current user may access a path, like the kernel does for every system call.
+     * Every directory above the path needs the `"x"` permission, and the path itself needs the requested permissions.
+     * Symlinks are followed, so the permissions of their targets are checked.
+     * @param {string} path an absolute path
+     * @param {...Permission} permissions the permissions needed for the path itself
+     * @return {VFile | VDirectory} the file or directory at the path
+     * @throws {VFileSystemError} if the path doesn't exist or the current user isn't allowed to access it
+     */
+    checkAccess(path, ...permissions) {
+        const {node, path: realPath, ancestors} = this.lookup(path);
+        for (const ancestor of ancestors) {
+            if (!this.hasPermission(ancestor.dir, "x")) {
+                throw new VFileSystemError(`permission denied for "${ancestor.path}"`);
+            }
+        }
+        if (!permissions.every(permission => this.hasPermission(node, permission))) {
+            throw new VFileSystemError(`permission denied for "${realPath}"`);
+        }
+        return node;
+    }
+
+    /**
+     * Retrieve a file that the current user is allowed to read.
+     * @param {string} path the absolute path of the file
+     * @return {VFile}
+     * @throws {VFileSystemError} if the file doesn't exist or the current user isn't allowed to read it
+     */
+    readFile(path) {
+        const file = this.getFile(path);
+        this.checkAccess(path, "r");
+        return file;
+    }
+
+    /**
+     * Retrieve a directory that the current user is allowed to list.
+     * @param {string} path the absolute path of the directory
+     * @return {VDirectory}
+     * @throws {VFileSystemError} if the directory doesn't exist or the current user isn't allowed to list it
+     */
+    readDir(path) {
+        const dir = this.getDir(path);
+        this.checkAccess(path, "r");
+        return dir;
+    }
+
+    /**
+     * Check that the current user may add or remove entries of the directory containing a path.
+     * @param {string} path an absolute path other than the root directory
+     * @return {{parent: VDirectory, name: string}} the parent directory and the last component of the path
+     * @throws {VFileSystemError} if the parent directory doesn't exist or the current user isn't allowed to change it
+     */
+    getWritableParent(path) {
+        const result = this.getParent(path);
+        this.checkAccess(_path.dirname(_path.normalize(path)), "w", "x");
+        return result;
+    }
+
+    /**
+     * Make the current user the owner of a file or directory and everything inside it, like a newly created file.
+     * @template {VFile | VDirectory} T
+     * @param {T} node
+     * @return {T} the same node
+     */
+    claim(node) {
+        node.owner = this.curUser;
+        node.group = this.curUser;
+        if (node.type === "directory") {
+            Object.values(node.children).forEach(child => this.claim(child));
+        }
+        return node;
+    }
+
+    /**
+     * Create an empty text file if nothing exists at the path, like `touch`.
+     * @param {string} path the absolute path of the file
+     * @return {VFile | VDirectory} the new file, or the file or directory that already existed
+     * @throws {VFileSystemError} if the parent directory doesn't exist or the current user isn't allowed to create the file
+     */
+    createFile(path) {
+        const {parent, name} = this.getParent(path);
+        const existing = getChild(parent, name);
+        if (existing?.type === "symlink") {
+            return this.createFile(this.resolveSymlink(path));
+        } else if (existing) {
+            this.checkAccess(path);
+            return existing;
         }
+        this.getWritableParent(path);
+        validateName(name);
+        const file = this.claim(VFile.newTextFile(name, ""));
+        parent.children[name] = file;
+        return file;
+    }
+
+    /**
+     * Replace the content of a text file, creating the file if it doesn't exist.
+     * @param {string} path the absolute path of the file
+     * @param {string} content the new content
+     * @return {VFile} the file that was written
+     * @throws {VFileSystemError} if the parent directory doesn't exist, the path points to something other than a text file,
+     *                           or the current user isn't allowed to write the file
+     */
+    writeFile(path, content) {
+        console.assert(typeof content === "string", "content must be a string");
+        const {parent, name} = this.getParent(path);
+        const existing = getChild(parent, name);
+        if (existing?.type === "symlink") {
+            return this.writeFile(this.resolveSymlink(path), content);
+        } else if (existing?.type === "directory") {
+            throw new VFileSystemError(`"${path}" is a directory`);
+        } else if (existing && existing.contentType !== "text") {
+            throw new VFileSystemError(`"${path}" is not a text file`);
+        }
+        if (!existing) {
+            this.getWritableParent(path);
+            validateName(name);
+            parent.children[name] = this.claim(VFile.newTextFile(name, content));
+            return parent.children[name];
+        }
+        this.checkAccess(path, "w");
+        existing.content = content;
+        existing.size = displaySize(content.length); // assuming 1 character is 1 byte
+        return existing;
+    }
+
+    /**
+     * Add text to the end of a text file, creating it if it doesn't exist, like the `>>` redirection.
+     * The text starts on a new line if the file doesn't end with one.
+     * @param {string} path the absolute path of the file
+     * @param {string} content the text to add
+     * @return {VFile} the file
+     * @throws {VFileSystemError} in the same cases as {@link writeFile}
+     */
+    appendFile(path, content) {
+        console.assert(typeof content === "string", "content must be a string");
+        // only write permission is needed to append, so the existing content is read without checking for read permission
+        const existing = this.exists(path) ? this.getFile(path) : null;
+        if (existing?.contentType === "text" && existing.content) {
+            content = existing.content.endsWith("\n") ? existing.content + content : `${existing.content}\n${content}`;
+        }
+        return this.writeFile(path, content);
+    }
+
+    /**
+     * Create a symlink, like `ln -s`.
+     * @param {string} path the absolute path of the new symlink
+     * @param {string} target the path the symlink points to; it doesn't need to exist
+     * @return {VSymlink} the new symlink
+     * @throws {VFileSystemError} if the path already exists, its parent doesn't exist, or the current user isn't allowed to create the symlink
+     */
+    createSymlink(path, target) {
+        if (!target) {
+            throw new VFileSystemError("The target of a symlink can't be empty");
+        }
+        const {parent, name} = this.getParent(path);
+        if (getChild(parent, name)) {
+            throw new VFileSystemError(`"${path}" already exists`);
+        }
+        this.getWritableParent(path);
+        validateName(name);
+        parent.children[name] = this.claim(new VSymlink(name, target));
+        return parent.children[name];
+    }
+
+    /**
+     * Work out where a symlink points to, following any further symlinks; the final target doesn't need to exist.
+     * @param {string} path the absolute path of a symlink
+     * @return {string} the real path the symlink leads to
+     * @throws {VFileSystemError} if the directory containing the target doesn't exist or there's a symlink loop
+     */
+    resolveSymlink(path) {
+        let symlinksFollowed = 0;
+        let {node, path: realPath} = this.lookup(path, false);
+        while (node?.type === "symlink") {
+            if (++symlinksFollowed > MAX_SYMLINKS_FOLLOWED) {
+                throw new VFileSystemError(`"${path}" has too many levels of symbolic links`);
+            }
+            const targetPath = _path.resolve(_path.dirname(realPath), node.target);
+            const {parent, name} = this.getParent(targetPath);
+            const parentPath = this.lookup(_path.dirname(targetPath)).path;
+            realPath = _path.join(parentPath, name);
+            node = getChild(parent, name);
+        }
+        return realPath;
+    }
+
+    /**
+     * Create a directory, like `mkdir`.
+     * @param {string} path the absolute path of the new directory
+     * @param {boolean} parents whether to create missing parent directories and to ignore existing directories, like `mkdir -p`
+     * @return {VDirectory} the new (or existing) directory
+     * @throws {VFileSystemError} if the path already exists or its parent doesn't exist (unless `parents` is set),
+     *                           or the current user isn't allowed to create the directory
+     */
+    makeDirectory(path, parents = false) {
+        path = _path.normalize(path);
+        if (path === "/") {
+            if (parents) {
+                return this.rootDir;
+            }
+            throw new VFileSystemError("The root directory already exists");
+        }
+        if (parents) {
+            let curDir = this.rootDir;
+            let partialPath = "/";
+            for (const component of path.split("/").filter(x => x)) {
+                partialPath = _path.join(partialPath, component);
+                // existing directories are looked up, so symlinks are followed and mounted file systems are entered
+                if (this.exists(partialPath)) {
+                    const {node} = this.lookup(partialPath);
+                    if (node.type !== "directory") {
+                        throw new VFileSystemError(`"${partialPath}" is a file, not a directory`);
+                    }
+                    curDir = node;
+                    continue;
+                }
+                const {parent, name} = this.getWritableParent(partialPath);
+                if (getChild(parent, name)) {
+                    throw new VFileSystemError(`"${partialPath}" is a symlink to a path that doesn't exist`);
+                }
+                validateName(name);
+                parent.children[name] = this.claim(new VDirectory(name));
+                curDir = parent.children[name];
+            }
+            return curDir;
+        }
+        const {parent, name} = this.getParent(path);
+        if (getChild(parent, name)) {
+            throw new VFileSystemError(`"${path}" already exists`);
+        }
+        this.getWritableParent(path);
+        validateName(name);
+        parent.children[name] = this.claim(new VDirectory(name));
+        return parent.children[name];
+    }
+
+    /**
+     * Remove a file or directory, like `rm`.
+     * @param {string} path the absolute path to remove
+     * @param {boolean} recursive whether directories may be removed, like `rm -r`
+     * @throws {VFileSystemError} if the path doesn't exist, is a directory (unless `recursive` is set), contains the working directory,
+     *                           or the current user isn't allowed to remove it
+     */
+    remove(path, recursive = false) {
+        path = _path.normalize(path);
+        const {node, path: realPath} = this.lookup(path, false);
+        if (node.type === "directory" && !recursive) {
+            throw new VFileSystemError(`"${path}" is a directory`);
+        }
+        if (this.containsWorkingDirectory(realPath)) {
+            throw new VFileSystemError(`"${path}" can't be removed because it contains the working directory`);
+        }
+        if (this.containsMountPoint(realPath)) {
+            throw new VFileSystemError(`"${path}" can't be removed because it contains a mount point`);
+        }
+        const {parent, name} = this.getWritableParent(path);
+        // the contents of a directory have to be removed before the directory itself
+        this.checkTreeAccess(node, path, [], ["r", "w", "x"]);
+        delete parent.children[name];
+    }
+
+    /**
+     * Move or rename a file or directory, like `mv`.
+     * If the destination is an existing directory, the source is moved into it.
+     * An existing file at the destination is replaced by a source file.
+     * @param {string} sourcePath the absolute path to move
+     * @param {string} destPath the absolute path to move it to
+     * @return {string} the new path of the moved file or directory
+     * @throws {VFileSystemError} if the move isn't possible or the current user isn't allowed to change both directories
+     */
+    move(sourcePath, destPath) {
+        sourcePath = _path.normalize(sourcePath);
+        const {node, path: realSourcePath} = this.lookup(sourcePath, false);
+        if (this.containsWorkingDirectory(realSourcePath)) {
+            throw new VFileSystemError(`"${sourcePath}" can't be moved because it contains the working directory`);
+        }
+        if (this.containsMountPoint(realSourcePath)) {
+            throw new VFileSystemError(`"${sourcePath}" can't be moved because it contains a mount point`);
+        }
+        const targetPath = this.resolveTargetPath(node, sourcePath, destPath);
+        const {parent: sourceParent, name: sourceName} = this.getWritableParent(sourcePath);
+        const {parent: targetParent, name: targetName} = this.getWritableParent(targetPath);
+        delete sourceParent.children[sourceName];
+        node.name = targetName;
+        targetParent.children[targetName] = node;
+        return targetPath;
+    }
+
+    /**
+     * Copy a file or directory, like `cp`.
+     * If the destination is an existing directory, the source is copied into it.
+     * An existing file at the destination is replaced by a source file.
+     * @param {string} sourcePath the absolute path to copy
+     * @param {string} destPath the absolute path to copy it to
+     * @param {boolean} recursive whether directories may be copied, like `cp -r`
+     * @return {string} the path of the copy
+     * @throws {VFileSystemError} if the copy isn't possible or the current user isn't allowed to read the source or change the destination
+     */
+    copy(sourcePath, destPath, recursive = false) {
+        sourcePath = _path.normalize(sourcePath);
+        const node = this.getNode(sourcePath);
+        if (node.type === "directory" && !recursive) {
+            throw new VFileSystemError(`"${sourcePath}" is a directory`);
+        }
+        this.checkAccess(sourcePath);
+        this.checkTreeAccess(node, sourcePath, ["r"], ["r", "x"]);
+        const targetPath = this.resolveTargetPath(node, sourcePath, destPath);
+        const {parent: targetParent, name: targetName} = this.getWritableParent(targetPath);
+        const existing = getChild(targetParent, targetName);
+        if (existing && !this.hasPermission(existing, "w")) {
+            throw new VFileSystemError(`permission denied for "${targetPath}"`);
+        }
+        // like `cp` without `-p`, the copy belongs to the user who made it
+        const copy = this.claim(JSON.parse(JSON.stringify(node)));
+        copy.name = targetName;
+        targetParent.children[targetName] = copy;
+        return targetPath;
+    }
+
+    /**
+     * Put a file, directory or symlink into the file system regardless of the current user's permissions, like a scripted game event.
+     * Anything already at the path is replaced, unless it's a directory.
+     * The node is copied; it inherits the owner and group of its new parent directory if it doesn't specify them.
+     * @param {string} path the absolute path to put the node at
+     * @param {VFile | VDirectory | VSymlink} node
+     * @return {VFile | VDirectory | VSymlink} the node that was added
+     * @throws {VFileSystemError} if the parent directory doesn't exist or a directory is already at the path
+     */
+    reveal(path, node) {
+        const {parent, name} = this.getParent(path);
+        if (getChild(parent, name)?.type === "directory") {
+            throw new VFileSystemError(`"${_path.normalize(path)}" is an existing directory`);
+        }
+        validateName(name);
+        const copy = JSON.parse(JSON.stringify(node));
+        copy.name = name;
+        applyDefaultPermissions(copy, parent.owner, parent.group);
+        parent.children[name] = copy;
+        return copy;
+    }
+
+    /**
+     * Visit a file or directory and everything inside it, depth-first like `find`.
+     * Symlinks inside the tree are visited but not followed, while mounted file systems are entered.
+     * Directories that the current user isn't allowed to list are visited without being entered.
+     * @param {string} path the absolute path to start from; a symlink here is followed
+     * @param {function(VFile | VDirectory | VSymlink, string): void} visit called with each file, directory and symlink and its path, which starts with `path`
+     * @return {string[]} the paths of the directories that couldn't be entered
+     * @throws {VFileSystemError} if the path doesn't exist or the current user isn't allowed to access it
+     */
+    walk(path, visit) {
+        const {node, path: realPath} = this.lookup(path);
+        this.checkAccess(path);
+        /** @type {string[]} */
+        const denied = [];
+        const walkNode = (node, path, realPath) => {
+            visit(node, path);
+            if (node.type !== "directory") {
+                return;
+            }
+            if (!this.hasPermission(node, "r") || !this.hasPermission(node, "x")) {
+                denied.push(path);
+                return;
+            }
+            for (const child of Object.values(node.children)) {
+                // mount points are keyed by real path, which differs from `path` when the walk started at a symlink
+                const childRealPath = _path.join(realPath, child.name);
+                const mount = child.type === "directory" ? this.mounts[childRealPath] : null;
+                walkNode(mount ? mount.root : child, _path.join(path, child.name), childRealPath);
+            }
+        };
+        walkNode(node, _path.normalize(path), realPath);
+        return denied;
+    }
+
+    /**
+     * Check that the current user has permissions for a file or directory and everything inside it, for operations that affect a whole tree.
+     * @param {VFile | VDirectory} node
+     * @param {string} path the normalized absolute path of `node`
+     * @param {Permission[]} filePermissions the permissions needed for each file
+     * @param {Permission[]} directoryPermissions the permissions needed for each directory
+     * @throws {VFileSystemError} if the current user is missing a permission for anything in the tree
+     */
+    checkTreeAccess(node, path, filePermissions, directoryPermissions) {
+        const permissions = node.type === "directory" ? directoryPermissions : filePermissions;
+        if (!permissions.every(permission => this.hasPermission(node, permission))) {
+            throw new VFileSystemError(`permission denied for "${path}"`);
+        }
+        if (node.type === "directory") {
+            for (const child of Object.values(node.children)) {
+                this.checkTreeAccess(child, _path.join(path, child.name), filePermissions, directoryPermissions);
+            }
+        }
+    }
+
+    /**
+     * Work out where a file or directory ends up when it's moved or copied to a destination.
+     * @param {VFile | VDirectory} node the file or directory being moved or copied
+     * @param {string} sourcePath the normalized absolute path of `node`
+     * @param {string} destPath the absolute destination path
+     * @return {string} the path that `node` will have
+     * @throws {VFileSystemError} if `node` can't be placed at the destination
+     */
+    resolveTargetPath(node, sourcePath, destPath) {
+        if (sourcePath === "/") {
+            throw new VFileSystemError("The root directory can't be moved or copied");
+        }
+        destPath = _path.normalize(destPath);
+        let targetPath = destPath;
+        if (this.exists(destPath) && this.getNode(destPath).type === "directory") {
+            targetPath = _path.join(destPath, _path.basename(sourcePath));
+        }
+        // compare real paths, since a symlink can lead into the source under another name
+        const realSourcePath = this.lookup(sourcePath, false).path;
+        const realTargetPath = _path.join(this.lookup(_path.dirname(targetPath)).path, _path.basename(targetPath));
+        if (realTargetPath === realSourcePath) {
+            throw new VFileSystemError(`"${sourcePath}" and "${targetPath}" are the same`);
+        }
+        if (node.type === "directory" && realTargetPath.startsWith(realSourcePath + "/")) {
+            throw new VFileSystemError(`"${sourcePath}" can't be placed inside itself`);
+        }
+        const {parent, name} = this.getParent(targetPath);
+        const existing = getChild(parent, name);
+        if (existing?.type === "directory") {
+            throw new VFileSystemError(`"${targetPath}" is an existing directory`);
+        } else if (existing && node.type === "directory") {
+            throw new VFileSystemError(`"${targetPath}" is an existing file`);
+        }
+        validateName(name);
+        return targetPath;
+    }
+
+    /**
+     * @param {string} path a normalized absolute path
+     * @return {boolean} whether the path is the working directory or one of its parents
+     */
+    containsWorkingDirectory(path) {
+        return path === "/" || this.curPath === path || this.curPath.startsWith(path + "/");
     }
 
     /**
      *
      * @param {string} json a JSON string representing the root directory of a virtual file system
+     * @param {UserDatabase} [users] the user accounts that can own files and directories
      * @return {VFileSystem | null} the newly created virtual file system or `null` if it couldn't be loaded
      */
-    static fromJsonString(json) {
+    static fromJsonString(json, users) {
+        const rootDir = VFileSystem.parseDirectory(json);
+        return rootDir ? new VFileSystem(rootDir, users) : null;
+    }
+
+    /**
+     * Parse and validate a directory tree, such as the root directory of a file system that will be mounted.
+     * @param {string} json a JSON string representing a directory
+     * @return {VDirectory | null} the directory or `null` if it couldn't be loaded
+     */
+    static parseDirectory(json) {
         try {
             const obj = JSON.parse(json);
             if (vfsValidator) {
@@ -236,7 +1032,7 @@ class VFileSystem {
             } else {
                 console.warn("Virtual File System validator is not set up, so the loaded JSON will not be validated");
             }
-            return new VFileSystem(obj);
+            return obj;
         } catch (e) {
             console.error("Failed to parse VFS from string", e);
             return null;
@@ -253,14 +1049,64 @@ function toDisplayFormat(file) {
     const temp = {
         name: file.name,
         type: file.type,
-        size: null
+        size: null,
+        permissions: formatMode(file),
+        owner: file.owner
     }
     if (file.size) {
         temp.size = file.size;
     }
+    if (file.type === "symlink") {
+        temp.target = file.target;
+    }
     return temp;
 }
 
+/**
+ * Convert a file into the form that is sent to Neuro.
+ * The content of `"html"` files is converted into Markdown-flavored plain text so that Neuro isn't sent raw tags.
+ * `"image"` and `"hex"` files only include their description, not the asset path or the data used to generate bytes.
+ * @param {VFile} file
+ * @return {VFile} a copy of the file
+ */
+function toNeuroFormat(file) {
+    console.assert(file, "the file argument is required");
+    const copy = {...file};
+    if (file.contentType === "html") {
+        copy.content = htmlToMarkdown(file.content);
+    }
+    delete copy.src;
+    delete copy.seed;
+    delete copy.byteCount;
+    return copy;
+}
+
+/**
+ * Format the permissions of a file or directory like `ls -l`, such as `"drwxr-xr-x"`.
+ * @param {VFile | VDirectory} node
+ * @return {string}
+ */
+function formatMode(node) {
+    const mode = parseInt(node.mode, 8);
+    let result = {directory: "d", symlink: "l"}[node.type] || "-";
+    for (const shift of [6, 3, 0]) {
+        for (const [permission, bit] of Object.entries(PERMISSION_BITS)) {
+            result += (mode >> shift) & bit ? permission : "-";
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {string} name the name of a new file or directory
+ * @throws {VFileSystemError} if the name isn't allowed
+ */
+function validateName(name) {
+    if (!name || name === "." || name === ".." || name.includes("/")) {
+        throw new VFileSystemError(`"${name}" is not a valid name`);
+    }
+}
+
 class VFileSystemError extends Error {
     constructor(message) {
         super(message);
@@ -269,5 +1115,5 @@ class VFileSystemError extends Error {
 }
 
 module.exports = {
-    VFile, VDirectory, VFileSystem, VFileSystemError, toDisplayFormat
+    VFile, VDirectory, VSymlink, VFileSystem, VFileSystemError, toDisplayFormat, toNeuroFormat, formatMode, parseSize
 };
\ No newline at end of file
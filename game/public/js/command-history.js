@@ -0,0 +1,138 @@
+// The command history of the terminal's input line, loaded by the browser via a script tag.
+
+/**
+ * The prefix of the keys that histories are persisted under in `localStorage`; each game session has its own history.
+ * @type {string}
+ */
+const HISTORY_STORAGE_KEY = "terminal-escape/command-history";
+
+/**
+ * The number of commands kept in the history; the oldest commands are forgotten first.
+ * @type {number}
+ */
+const MAX_HISTORY_ENTRIES = 500;
+
+/**
+ * The commands entered on the terminal, navigated with the up and down arrows and searched with Ctrl+R.
+ * Like a shell with `HISTCONTROL=erasedups`, each command appears once, at the position where it was most recently entered.
+ * @property {string[]} entries the commands, oldest first
+ * @property {number} position the index of the entry shown in the input line; `entries.length` while the input line holds a new command
+ * @property {string} draft the new command that was being typed before navigating the history
+ * @property {?Storage} storage where the history is persisted, if anywhere
+ * @property {string} storageKey the key that the history is persisted under in {@link storage}
+ */
+class CommandHistory {
+    /**
+     * @param {?Storage} storage where the history is loaded from and saved to, such as `window.localStorage`
+     * @param {string} sessionId the game session whose terminal the history belongs to
+     */
+    constructor(storage, sessionId) {
+        this.storage = storage;
+        this.storageKey = `${HISTORY_STORAGE_KEY}/${sessionId}`;
+        this.entries = [];
+        try {
+            const stored = JSON.parse(storage?.getItem(this.storageKey) ?? "[]");
+            if (Array.isArray(stored)) {
+                this.entries = stored.filter(entry => typeof entry === "string").slice(-MAX_HISTORY_ENTRIES);
+            }
+        } catch (e) {
+            console.warn("Failed to load the command history", e);
+        }
+        this.position = this.entries.length;
+        this.draft = "";
+    }
+
+    /**
+     * Add a command that was entered and go back to the end of the history.
+     * @param {string} command
+     */
+    add(command) {
+        this.addEntry(command);
+        this.save();
+        this.resetPosition();
+    }
+
+    /**
+     * Add commands that were entered before this history was created, such as the commands in the server's transcript.
+     * Commands that are already in the history keep their position, so seeding again after a reconnect doesn't reorder it.
+     * @param {string[]} commands the commands, oldest first
+     */
+    seed(commands) {
+        commands.filter(command => !this.entries.includes(command)).forEach(command => this.addEntry(command));
+        this.save();
+        this.resetPosition();
+    }
+
+    /**
+     * @param {string} command
+     */
+    addEntry(command) {
+        console.assert(typeof command === "string", "addEntry() expects a string argument");
+        if (!command.trim()) {
+            return;
+        }
+        this.entries = this.entries.filter(entry => entry !== command);
+        this.entries.push(command);
+        if (this.entries.length > MAX_HISTORY_ENTRIES) {
+            this.entries.splice(0, this.entries.length - MAX_HISTORY_ENTRIES);
+        }
+    }
+
+    /**
+     * Go back to the end of the history, where a new command is typed.
+     */
+    resetPosition() {
+        this.position = this.entries.length;
+        this.draft = "";
+    }
+
+    /**
+     * Move to the previous (older) command.
+     * @param {string} currentLine the content of the input line, which is kept as the draft when leaving the end of the history
+     * @return {?string} the command to show, or `null` if there are no older commands
+     */
+    previous(currentLine) {
+        if (this.position === 0) {
+            return null;
+        }
+        if (this.position === this.entries.length) {
+            this.draft = currentLine;
+        }
+        return this.entries[--this.position];
+    }
+
+    /**
+     * Move to the next (newer) command.
+     * @return {?string} the command to show, the draft after the newest command, or `null` if already at the end of the history
+     */
+    next() {
+        if (this.position >= this.entries.length) {
+            return null;
+        }
+        this.position++;
+        return this.position === this.entries.length ? this.draft : this.entries[this.position];
+    }
+
+    /**
+     * Find the most recent command containing some text, like Ctrl+R in bash.
+     * @param {string} query
+     * @param {number} before only commands before this index are searched
+     * @return {number} the index of the command, or `-1` if no command matches
+     */
+    search(query, before = this.entries.length) {
+        for (let i = Math.min(before, this.entries.length) - 1; i >= 0; i--) {
+            if (this.entries[i].includes(query)) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    save() {
+        try {
+            this.storage?.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (e) {
+            console.warn("Failed to save the command history", e);
+        }
+    }
+}
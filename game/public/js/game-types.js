@@ -5,7 +5,7 @@
 
 /**
  * @typedef Message
- * @type {ResetMessage | CommandInvovationMessage | CommandResultMessage | ContextUpdateMessage | TransferStateMessage}
+ * @type {ResetMessage | CommandInvovationMessage | CommandResultMessage | ContextUpdateMessage | TransferStateMessage | TextEntryMessage | TextEntryResultMessage | CompletionRequestMessage | CompletionResultMessage | DisplayFileMessage | DisplayDirectoryMessage | DisplayTreeMessage | SequenceMessage | GameOverMessage}
  */
 
 /**
@@ -39,13 +39,12 @@
  */
 
 /**
- * This message includes the names of the files and directories in the current directory.
+ * This message includes the state of the terminal that the client displays outside of the transcript.
  *
  * @typedef ContextUpdateMessage
  * @extends BaseMessage
  * @property {"context"} command
- * @property {string[]} files
- * @property {string[]} directories
+ * @property {string} user the name of the current user
  */
 
 /**
@@ -59,12 +58,51 @@
  */
 
 /**
- * TODO: Handle text entry
+ * Ask a client to open the text editor.
+ * The server only sends this message to the client that entered the command that opened the editor,
+ * and it isn't part of the terminal state.
+ * The client should respond with a {@link TextEntryResultMessage} when the editor is closed.
+ *
  * @typedef TextEntryMessage
  * @extends BaseMessage
  * @property {"text-entry"} command
- * @property {?string} prompt
- * @property {?string} content
+ * @property {string} id identifies this text entry in the {@link TextEntryResultMessage}
+ * @property {?string} prompt a description of what is being edited
+ * @property {?string} content the initial text in the editor
+ */
+
+/**
+ * The text submitted from the text editor opened by a {@link TextEntryMessage}.
+ * Clients send this message to the server; the server doesn't relay it.
+ *
+ * @typedef TextEntryResultMessage
+ * @extends BaseMessage
+ * @property {"text-entry/result"} command
+ * @property {string} id the ID of the {@link TextEntryMessage}
+ * @property {?string} content the submitted text, or `null` if the editor was cancelled
+ */
+
+/**
+ * Ask the server to complete the line typed into the terminal when Tab is pressed.
+ * The server responds to the client that sent it with a {@link CompletionResultMessage}; neither message is part of the terminal state.
+ *
+ * @typedef CompletionRequestMessage
+ * @extends BaseMessage
+ * @property {"completion/request"} command
+ * @property {string} id identifies this request in the {@link CompletionResultMessage}
+ * @property {string} line the text before the cursor
+ */
+
+/**
+ * How to complete the line of a {@link CompletionRequestMessage}.
+ *
+ * @typedef CompletionResultMessage
+ * @extends BaseMessage
+ * @property {"completion/result"} command
+ * @property {string} id the ID of the {@link CompletionRequestMessage}
+ * @property {number} start the index in the line where the replacement starts
+ * @property {string} replacement the text that replaces the line from `start` to its end
+ * @property {string[]} candidates everything the last token could be completed to; listed when Tab is pressed twice
  */
 
 /**
@@ -75,11 +113,15 @@
  */
 
 /**
- * A limited model for both {@link VFile} and {@link VDirectory}.
+ * A limited model for {@link VFile}, {@link VDirectory} and {@link VSymlink}.
  * @typedef VDirDisplayFormat
- * @prop {"file" | "directory"} type
+ * @prop {"file" | "directory" | "symlink"} type
  * @prop {string} name
  * @prop {?string} size
+ * @prop {string} permissions the permissions formatted like `ls -l`, such as `"drwxr-xr-x"`
+ * @prop {string} owner the name of the user that owns the file or directory
+ * @prop {string} [target] the path a symlink points to
+ * @prop {boolean} [locked] whether the current user isn't allowed to read the file; only included by `ls`
  */
 
 /**
@@ -87,4 +129,50 @@
  * @extends BaseMessage
  * @property {"display-dir"} command
  * @property {VDirDisplayFormat[]} contents the contents of the directory
+ * @property {boolean} [long] whether the permissions, owner and lock status of each item are displayed, like `ls -l`
+ */
+
+/**
+ * A file, directory or symlink in a {@link DisplayTreeMessage}.
+ * @typedef VTreeNode
+ * @extends VDirDisplayFormat
+ * @prop {VTreeNode[]} [children] the contents of a directory; omitted for files, symlinks and directories that were truncated
+ * @prop {boolean} [truncated] whether the directory has contents that were left out because of a depth limit
+ * @prop {boolean} [denied] whether the directory's contents are unknown because the current user isn't allowed to list it
+ */
+
+/**
+ * @typedef DisplayTreeMessage
+ * @extends BaseMessage
+ * @property {"display-tree"} command
+ * @property {VTreeNode} root the directory at the top of the tree; its name is the path that was displayed
+ */
+
+/**
+ * A scripted sequence, such as the intro of a scenario, whose lines are typed out on the terminal one step at a time.
+ * Clients play it when it's received, and show all of it at once when it's replayed by a {@link TransferStateMessage}.
+ *
+ * @typedef SequenceMessage
+ * @extends BaseMessage
+ * @property {"sequence"} command
+ * @property {SequenceStep[]} steps the steps with every default filled in
+ */
+
+/**
+ * @typedef SequenceStep
+ * @property {string} [text] a line printed on the terminal; a step without text is a pause
+ * @property {number} delay how long to wait before the step, in milliseconds
+ * @property {number} typingSpeed how long typing each character of the line takes, in milliseconds; `0` prints the line at once
+ * @property {boolean} glitch whether the line is shown with a glitch effect
+ */
+
+/**
+ * Sent once the game reaches one of the scenario's endings, after the ending's epilogue.
+ * Clients show a summary of the run; the commands that are still available after the ending, such as `reset`, can be used.
+ *
+ * @typedef GameOverMessage
+ * @extends BaseMessage
+ * @property {"game-over"} command
+ * @property {{id: string, title: string, outcome: "win" | "lose"}} ending
+ * @property {{moves: number, elapsedSeconds: number}} stats how many commands were entered and how long the game was played for
  */
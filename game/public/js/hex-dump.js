@@ -0,0 +1,56 @@
+// Generates the fake binary data displayed for "hex" files; it can be loaded by the browser (via a script tag) or by Node (via require).
+
+/**
+ * The number of bytes displayed for "hex" files that don't specify a `byteCount`.
+ * @type {number}
+ */
+const DEFAULT_HEX_BYTE_COUNT = 256;
+
+/**
+ * Generate deterministic pseudo-random bytes from a seed, so that a file looks the same every time it's opened.
+ * @param {string} seed
+ * @param {number} byteCount the number of bytes to generate
+ * @return {number[]}
+ */
+function generateSeededBytes(seed, byteCount) {
+    console.assert(typeof seed === "string", "generateSeededBytes() expects a string seed");
+    // FNV-1a hash of the seed
+    let state = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+        state ^= seed.charCodeAt(i);
+        state = Math.imul(state, 0x01000193);
+    }
+    // mulberry32
+    const bytes = [];
+    for (let i = 0; i < byteCount; i++) {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        bytes.push(((t ^ (t >>> 14)) >>> 0) & 0xff);
+    }
+    return bytes;
+}
+
+/**
+ * Format bytes like the output of `hexdump -C`.
+ * @param {number[]} bytes
+ * @return {string[]} the lines of the dump; each line has an offset, up to 16 bytes in hexadecimal, and the printable ASCII characters
+ */
+function formatHexDump(bytes) {
+    const lines = [];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+        const row = bytes.slice(offset, offset + 16);
+        const hex = row.map(byte => byte.toString(16).padStart(2, "0"));
+        const left = hex.slice(0, 8).join(" ");
+        const right = hex.slice(8).join(" ");
+        const ascii = row.map(byte => byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : ".").join("");
+        lines.push(`${offset.toString(16).padStart(8, "0")}  ${left.padEnd(23)}  ${right.padEnd(23)}  |${ascii}|`);
+    }
+    return lines;
+}
+
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        DEFAULT_HEX_BYTE_COUNT, generateSeededBytes, formatHexDump
+    };
+}
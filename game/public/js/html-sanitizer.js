@@ -0,0 +1,128 @@
+// An allow-list HTML sanitizer for rendering "html" files in the terminal.
+// Elements that aren't allowed are replaced by their children; elements that can't be safely unwrapped are dropped entirely.
+
+/**
+ * The elements that are kept, and the attributes each of them may keep.
+ * @type {Record<string, string[]>}
+ */
+const ALLOWED_HTML_ELEMENTS = {
+    a: ["href", "title"],
+    abbr: ["title"],
+    article: [],
+    b: [],
+    blockquote: [],
+    br: [],
+    caption: [],
+    code: [],
+    dd: [],
+    del: [],
+    div: [],
+    dl: [],
+    dt: [],
+    em: [],
+    footer: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    header: [],
+    hr: [],
+    i: [],
+    li: [],
+    mark: [],
+    ol: [],
+    p: [],
+    pre: [],
+    s: [],
+    section: [],
+    small: [],
+    span: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ["colspan", "rowspan"],
+    tfoot: [],
+    th: ["colspan", "rowspan"],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: []
+};
+
+/**
+ * Elements whose content must never be rendered, not even as text.
+ * @type {string[]}
+ */
+const DROPPED_HTML_ELEMENTS = ["script", "style", "template", "iframe", "object", "embed", "noscript", "svg", "math", "head", "title"];
+
+const ALLOWED_URL_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+/**
+ * Parse and sanitize a string of HTML.
+ * The HTML is parsed with {@link DOMParser}, which never runs scripts or loads resources.
+ * @param {string} html
+ * @return {DocumentFragment} the sanitized content, ready to be inserted into the page
+ */
+function sanitizeHtml(html) {
+    console.assert(typeof html === "string", "sanitizeHtml() expects a string argument");
+    const parsed = new DOMParser().parseFromString(html, "text/html");
+    const fragment = document.createDocumentFragment();
+    for (const child of Array.from(parsed.body.childNodes)) {
+        appendSanitizedNode(fragment, child);
+    }
+    return fragment;
+}
+
+/**
+ * @param {Node} parent the node to append to
+ * @param {Node} node the untrusted node to sanitize
+ */
+function appendSanitizedNode(parent, node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        parent.appendChild(document.createTextNode(node.textContent));
+        return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        // comments, processing instructions, etc.
+        return;
+    }
+    const tagName = node.tagName.toLowerCase();
+    if (DROPPED_HTML_ELEMENTS.includes(tagName)) {
+        return;
+    }
+    const allowedAttributes = ALLOWED_HTML_ELEMENTS[tagName];
+    let target = parent;
+    if (allowedAttributes) {
+        const element = document.createElement(tagName);
+        for (const attribute of allowedAttributes) {
+            const value = node.getAttribute(attribute);
+            if (value === null) {
+                continue;
+            }
+            if (attribute === "href") {
+                if (!isAllowedUrl(value)) {
+                    continue;
+                }
+                element.setAttribute("target", "_blank");
+                element.setAttribute("rel", "noopener noreferrer");
+            }
+            element.setAttribute(attribute, value);
+        }
+        parent.appendChild(element);
+        target = element;
+    }
+    for (const child of Array.from(node.childNodes)) {
+        appendSanitizedNode(target, child);
+    }
+}
+
+/**
+ * @param {string} url
+ * @return {boolean} whether the URL uses one of the {@link ALLOWED_URL_PROTOCOLS}
+ */
+function isAllowedUrl(url) {
+    try {
+        return ALLOWED_URL_PROTOCOLS.includes(new URL(url, "https://invalid.invalid").protocol);
+    } catch (e) {
+        return false;
+    }
+}
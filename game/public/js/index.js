@@ -3,20 +3,77 @@ const terminal = document.getElementById("terminal");
 console.assert(terminal, "terminal element not found");
 const input = document.getElementById("user-input");
 console.assert(input, "user-input element not found");
+const inputPrompt = document.getElementById("prompt");
+console.assert(inputPrompt, "prompt element not found");
+const inputContainer = document.getElementById("input-container");
+console.assert(inputContainer, "input-container element not found");
+const editor = document.getElementById("editor");
+console.assert(editor, "editor element not found");
+const editorPrompt = document.getElementById("editor-prompt");
+console.assert(editorPrompt, "editor-prompt element not found");
+const editorContent = document.getElementById("editor-content");
+console.assert(editorContent, "editor-content element not found");
+const sessionId = document.body.dataset.sessionId;
+console.assert(sessionId, "session ID not found on the body element");
 
 
-const wsAddress = `ws://localhost:${window.location.port}`;
+// the page of a session is at /s/<name>, and so is the WebSocket of its terminals
+const wsAddress = `ws://localhost:${window.location.port}${window.location.pathname}`;
 /** @type {WebSocket} */
 let ws;
 
-/** @type {string[]} */
-let files = [];
-/** @type {string[]} */
-let directories = [];
+/**
+ * The ID of the text entry open in the editor, or `null` if the editor is closed.
+ * @type {?string}
+ */
+let textEntryId = null;
+/**
+ * The prompt in front of the input line, which shows the current user.
+ * @type {string}
+ */
+let userPrompt = ">\u00a0";
+const commandHistory = new CommandHistory(getLocalStorage(), sessionId);
+/**
+ * The state of a Ctrl+R search through the command history, or `null` if there isn't one.
+ * @type {?{query: string, index: number, originalLine: string}}
+ */
+let reverseSearch = null;
+/**
+ * The Tab press waiting for a {@link CompletionResultMessage}, or `null` if there isn't one.
+ * @type {?{id: string, value: string, cursor: number, listCandidates: boolean}}
+ */
+let pendingCompletion = null;
+let nextCompletionId = 0;
+/**
+ * The input line after the last completion, so that pressing Tab again can list the candidates.
+ * @type {?string}
+ */
+let lastTabValue = null;
+const sequencePlayer = new SequencePlayer(terminal, scrollToBottom);
+/**
+ * The commands of the messages that add output to the terminal; they wait until the sequence that is playing has finished.
+ * @type {Set<string>}
+ */
+const TERMINAL_OUTPUT_COMMANDS = new Set(["cmd/invocation", "cmd/result", "display-file", "display-dir", "display-tree", "sequence", "game-over"]);
+/**
+ * Messages received while a sequence is playing, in the order they were received.
+ * @type {Message[]}
+ */
+const deferredMessages = [];
 
 connectToWebSocket();
 
 input.addEventListener("keydown", (event) => {
+    if (reverseSearch && handleReverseSearchKey(event)) {
+        event.preventDefault();
+        return;
+    }
+    if (event.ctrlKey && !event.altKey && !event.metaKey) {
+        if (handleControlKey(event.key.toLowerCase())) {
+            event.preventDefault();
+        }
+        return;
+    }
     if (event.key === "Enter") {
         console.debug("Enter key pressed")
         if (!ws) {
@@ -26,6 +83,7 @@ input.addEventListener("keydown", (event) => {
 
         const command = input.value;
         input.value = "";
+        commandHistory.add(command);
 
         ws.send(JSON.stringify({
             command: "cmd/invocation",
@@ -38,13 +96,29 @@ input.addEventListener("keydown", (event) => {
         console.debug("Tab key pressed")
         event.preventDefault();
         handleTabCompletion();
+    } else if (event.key === "ArrowUp") {
+        event.preventDefault();
+        showHistoryEntry(commandHistory.previous(input.value));
+    } else if (event.key === "ArrowDown") {
+        event.preventDefault();
+        showHistoryEntry(commandHistory.next());
     }
 });
 
-document.getElementById("input-container").addEventListener("click", (event) => {
+inputContainer.addEventListener("click", (event) => {
     input.focus();
 });
 
+editorContent.addEventListener("keydown", (event) => {
+    if (event.key === "Escape") {
+        event.preventDefault();
+        closeTextEntry(null);
+    } else if (event.key === "s" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        closeTextEntry(editorContent.value);
+    }
+});
+
 
 function connectToWebSocket() {
     try {
@@ -107,15 +181,42 @@ function connectToWebSocket() {
         }
         console.assert(typeof message === "object", "Expected message to be a JSON object");
         console.assert(typeof message.command === "string", "Expected message to have a string property called \"command\"");
-        handleMessage(message);
+        receiveMessage(message);
     };
 }
 
 /**
+ * Handle a message from the server, or defer it until the sequence that is playing has finished.
  * @param {Message} message
+ */
+function receiveMessage(message) {
+    if (message.command === "reset" || message.command === "transfer-state") {
+        // the terminal is about to be replaced, so the output that was waiting doesn't matter
+        deferredMessages.length = 0;
+        sequencePlayer.finish();
+    } else if (sequencePlayer.playing && TERMINAL_OUTPUT_COMMANDS.has(message.command)) {
+        deferredMessages.push(message);
+        return;
+    }
+    handleMessage(message, true);
+}
+
+/**
+ * Handle the messages that were deferred while a sequence was playing, until another sequence starts playing.
+ */
+function handleDeferredMessages() {
+    while (deferredMessages.length > 0 && !sequencePlayer.playing) {
+        handleMessage(deferredMessages.shift(), true);
+    }
+}
+
+/**
+ * @param {Message} message
+ * @param {boolean} live whether the message was just received, rather than replayed by a "transfer-state" message;
+ *                       sequences are only played over time if it was
  * @return {void}
  */
-function handleMessage(message) {
+function handleMessage(message, live = false) {
     const command = message.command;
     switch (command) {
         case "cmd/invocation":
@@ -127,26 +228,49 @@ function handleMessage(message) {
             printMessage(message.msg);
             break;
         case "context":
-            console.assert(message.files, "Expected message with \"context\" command to have a property called \"files\"");
-            console.assert(message.directories, "Expected message with \"context\" command to have a property called \"directories\"");
-            files = message.files;
-            directories = message.directories;
+            userPrompt = `${message.user || ""}>\u00a0`;
+            updatePrompt();
             break;
         case "reset":
             console.info("Terminal reset to initial state");
-            terminal.innerHTML = "<div>Initiating session...</div>";
+            terminal.innerHTML = "";
             break;
         case "transfer-state":
             terminal.innerHTML = "";
             transferStateFromServer(message);
+            commandHistory.seed(message.messages.filter(x => x.command === "cmd/invocation").map(x => x.msg));
             break;
         case "display-file":
             console.assert(typeof message.file === "object", "Expected message with \"display-file\" command to have an object property called \"file\"");
             handleDisplayFile(message.file);
             break;
+        case "text-entry":
+            console.assert(typeof message.id === "string", "Expected message with \"text-entry\" command to have a string property called \"id\"");
+            handleTextEntry(message);
+            break;
+        case "completion/result":
+            console.assert(typeof message.id === "string", "Expected message with \"completion/result\" command to have a string property called \"id\"");
+            handleCompletionResult(message);
+            break;
         case "display-dir":
             console.assert(message.contents, "Expected message with \"display-dir\" command to have a property called \"contents\"");
-            handleDisplayDirectory(message.contents);
+            handleDisplayDirectory(message.contents, Boolean(message.long));
+            break;
+        case "display-tree":
+            console.assert(typeof message.root === "object", "Expected message with \"display-tree\" command to have an object property called \"root\"");
+            handleDisplayTree(message.root);
+            break;
+        case "sequence":
+            console.assert(Array.isArray(message.steps), "Expected message with \"sequence\" command to have an array property called \"steps\"");
+            if (live) {
+                sequencePlayer.play(message.steps, handleDeferredMessages);
+            } else {
+                sequencePlayer.render(message.steps);
+            }
+            break;
+        case "game-over":
+            console.assert(typeof message.ending === "object", "Expected message with \"game-over\" command to have an object property called \"ending\"");
+            handleGameOver(message.ending, message.stats);
             break;
         default:
             console.error(`Unrecognized command "${command}"`);
@@ -195,21 +319,50 @@ function transferStateFromServer(transferStateMessage) {
 function handleDisplayFile(file) {
     switch (file.contentType) {
         case "descriptive":
-        case "text":
-            // terminal.innerHTML += `<div class="terminal-card"><header>${file.name}</header><div>${file.content}</div></div>`
-            const outerDiv = document.createElement("div");
-            outerDiv.className = "terminal-card";
-            const header = document.createElement("header");
-            header.innerText = file.name;
-            if (file.size) {
-                header.innerText += ` (${file.size})`;
-            }
-            outerDiv.appendChild(header);
+        case "text": {
             const innerDiv = document.createElement("div");
             innerDiv.innerText = file.content;
-            outerDiv.appendChild(innerDiv);
-            terminal.appendChild(outerDiv);
+            terminal.appendChild(createFileCard(file, innerDiv));
+            break;
+        }
+        case "html": {
+            const innerDiv = document.createElement("div");
+            innerDiv.className = "html-file";
+            innerDiv.appendChild(sanitizeHtml(file.content));
+            terminal.appendChild(createFileCard(file, innerDiv));
+            break;
+        }
+        case "image": {
+            const figure = document.createElement("figure");
+            const image = document.createElement("img");
+            image.src = file.src;
+            image.alt = file.content;
+            image.title = file.content;
+            figure.appendChild(image);
+            const caption = document.createElement("figcaption");
+            caption.innerText = file.content;
+            figure.appendChild(caption);
+            const innerDiv = document.createElement("div");
+            innerDiv.className = "image-file";
+            innerDiv.appendChild(figure);
+            terminal.appendChild(createFileCard(file, innerDiv));
+            // the image's height isn't known until it loads
+            image.addEventListener("load", scrollToBottom, {once: true});
+            break;
+        }
+        case "hex": {
+            const innerDiv = document.createElement("div");
+            innerDiv.className = "hex-file";
+            const dump = document.createElement("pre");
+            const bytes = generateSeededBytes(file.seed, file.byteCount || DEFAULT_HEX_BYTE_COUNT);
+            dump.innerText = formatHexDump(bytes).join("\n");
+            innerDiv.appendChild(dump);
+            const description = document.createElement("div");
+            description.innerText = file.content;
+            innerDiv.appendChild(description);
+            terminal.appendChild(createFileCard(file, innerDiv));
             break;
+        }
         default:
             console.error(`Unrecognized file contentType \"${file.contentType}\"; rendering the file as plain text`);
             const newDiv = document.createElement("div");
@@ -220,37 +373,62 @@ function handleDisplayFile(file) {
     scrollToBottom();
 }
 
+/**
+ * Create a card with the file's name and size as its header.
+ * @param {VFile} file
+ * @param {HTMLElement} contentElement the element displaying the file's content
+ * @return {HTMLDivElement}
+ */
+function createFileCard(file, contentElement) {
+    const outerDiv = document.createElement("div");
+    outerDiv.className = "terminal-card";
+    const header = document.createElement("header");
+    header.innerText = file.name;
+    if (file.size) {
+        header.innerText += ` (${file.size})`;
+    }
+    outerDiv.appendChild(header);
+    outerDiv.appendChild(contentElement);
+    return outerDiv;
+}
+
 /**
  * @param {VDirDisplayFormat[]} dirContents
+ * @param {boolean} long whether to include the permissions, owner and lock status of each item, like `ls -l`
  */
-function handleDisplayDirectory(dirContents) {
+function handleDisplayDirectory(dirContents, long) {
     dirContents.sort((a, b) => a.name.localeCompare(b.name));
+    /** @type {[string, function(VDirDisplayFormat): string][]} */
+    const columns = [
+        ["name", item => item.type === "symlink" ? `${item.name} -> ${item.target}` : item.name],
+        ["type", item => item.type],
+        ["size", item => item.size || ""]
+    ];
+    if (long) {
+        columns.push(
+            ["permissions", item => item.permissions || ""],
+            ["owner", item => item.owner || ""],
+            ["status", item => item.locked ? "locked" : ""]
+        );
+    }
     const outerDiv = document.createElement("div");
     const table = document.createElement("table");
 
     const headerRow = document.createElement("tr");
-    const nameHeader = document.createElement("th");
-    nameHeader.innerText = "name";
-    headerRow.appendChild(nameHeader);
-    const typeHeader = document.createElement("th");
-    typeHeader.innerText = "type";
-    headerRow.appendChild(typeHeader);
-    const sizeHeader = document.createElement("th");
-    sizeHeader.innerText = "size";
-    headerRow.appendChild(sizeHeader);
+    for (const [name] of columns) {
+        const header = document.createElement("th");
+        header.innerText = name;
+        headerRow.appendChild(header);
+    }
     table.appendChild(headerRow);
 
     for (const item of dirContents) {
         const row = document.createElement("tr");
-        const nameColumn = document.createElement("td");
-        nameColumn.innerText = item.name;
-        row.appendChild(nameColumn);
-        const typeColumn = document.createElement("td");
-        typeColumn.innerText = item.type;
-        row.appendChild(typeColumn);
-        const sizeColumn = document.createElement("td");
-        sizeColumn.innerText = item.size || "";
-        row.appendChild(sizeColumn);
+        for (const [, getValue] of columns) {
+            const column = document.createElement("td");
+            column.innerText = getValue(item);
+            row.appendChild(column);
+        }
         table.appendChild(row);
     }
     outerDiv.appendChild(table);
@@ -258,68 +436,303 @@ function handleDisplayDirectory(dirContents) {
     scrollToBottom();
 }
 
-function scrollToBottom() {
-    terminal.scrollTop = terminal.scrollHeight;
+/**
+ * Display a directory tree like the `tree` program, where clicking a directory collapses or expands it.
+ * @param {VTreeNode} root
+ */
+function handleDisplayTree(root) {
+    const outerDiv = document.createElement("div");
+    outerDiv.className = "dir-tree";
+    const counts = {directories: 0, files: 0};
+    outerDiv.appendChild(createTreeElement(root, "", "", counts));
+    const summary = document.createElement("div");
+    summary.innerText = `${counts.directories} ${counts.directories === 1 ? "directory" : "directories"}, ${counts.files} ${counts.files === 1 ? "file" : "files"}`;
+    outerDiv.appendChild(summary);
+    terminal.appendChild(outerDiv);
+    scrollToBottom();
 }
 
-function handleTabCompletion() {
-    console.log(input.value, files, directories);
+/**
+ * Show the summary of a run that has ended.
+ * @param {{id: string, title: string, outcome: "win" | "lose"}} ending
+ * @param {{moves: number, elapsedSeconds: number}} stats
+ */
+function handleGameOver(ending, stats) {
+    const outerDiv = document.createElement("div");
+    outerDiv.className = `game-over game-over-${ending.outcome}`;
+    const heading = document.createElement("div");
+    heading.className = "game-over-heading";
+    heading.innerText = `${ending.outcome === "win" ? "YOU WIN" : "GAME OVER"}: ${ending.title}`;
+    outerDiv.appendChild(heading);
+    const minutes = Math.floor(stats.elapsedSeconds / 60);
+    const seconds = String(stats.elapsedSeconds % 60).padStart(2, "0");
+    for (const line of [
+        `Moves: ${stats.moves}`,
+        `Time played: ${minutes}:${seconds}`,
+        "Type \"reset\" to play again or \"scenario\" to choose another scenario."
+    ]) {
+        const lineDiv = document.createElement("div");
+        lineDiv.innerText = line;
+        outerDiv.appendChild(lineDiv);
+    }
+    terminal.appendChild(outerDiv);
+    scrollToBottom();
+}
+
+/**
+ * @param {VTreeNode} treeNode
+ * @param {string} linePrefix the box-drawing characters in front of this node's name
+ * @param {string} childPrefix the box-drawing characters that continue the lines of the parent directories in front of this node's children
+ * @param {{directories: number, files: number}} counts incremented for every directory and file below the top of the tree
+ * @return {HTMLElement} a `<details>` element for a directory or a `<div>` for anything else
+ */
+function createTreeElement(treeNode, linePrefix, childPrefix, counts) {
+    let label = treeNode.name;
+    if (treeNode.type === "symlink") {
+        label += ` -> ${treeNode.target}`;
+    } else if (treeNode.denied) {
+        label += " [permission denied]";
+    } else if (treeNode.truncated) {
+        label += " [...]";
+    }
+    if (!treeNode.children || treeNode.children.length === 0) {
+        const line = document.createElement("div");
+        line.innerText = linePrefix + label;
+        return line;
+    }
+
+    const details = document.createElement("details");
+    details.open = true;
+    const summary = document.createElement("summary");
+    summary.innerText = linePrefix + label;
+    details.appendChild(summary);
+    const children = [...treeNode.children].sort((a, b) => a.name.localeCompare(b.name));
+    children.forEach((child, index) => {
+        const isLast = index === children.length - 1;
+        if (child.type === "directory") {
+            counts.directories++;
+        } else {
+            counts.files++;
+        }
+        details.appendChild(createTreeElement(child, childPrefix + (isLast ? "└── " : "├── "), childPrefix + (isLast ? "    " : "│   "), counts));
+    });
+    return details;
+}
+
+/**
+ * Open the editor, replacing the input line.
+ * @param {TextEntryMessage} message
+ */
+function handleTextEntry(message) {
+    if (textEntryId !== null) {
+        // only one text entry can be open at a time
+        closeTextEntry(null);
+    }
+    textEntryId = message.id;
+    editorPrompt.innerText = message.prompt || "";
+    editorContent.value = message.content || "";
+    editor.hidden = false;
+    inputContainer.hidden = true;
+    editorContent.focus();
+}
+
+/**
+ * Close the editor and send the result to the server.
+ * @param {?string} content the submitted text, or `null` to cancel
+ */
+function closeTextEntry(content) {
+    if (ws) {
+        /** @type TextEntryResultMessage */
+        const message = {
+            command: "text-entry/result",
+            id: textEntryId,
+            content: content
+        };
+        ws.send(JSON.stringify(message));
+    } else {
+        printError("The text editor was closed while the connection to the server was lost; your changes weren't saved");
+    }
+    textEntryId = null;
+    editor.hidden = true;
+    inputContainer.hidden = false;
+    input.focus();
+}
 
-    const currentText = input.value;
-    if (currentText.replaceAll(" ", "") === "") {
-        // Do nothing if there's only whitespace
+/**
+ * @return {?Storage} `localStorage`, or `null` if the browser doesn't allow it to be used
+ */
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (e) {
+        console.warn("localStorage is unavailable, so the command history won't be kept", e);
+        return null;
+    }
+}
+
+/**
+ * @param {?string} command the command to put in the input line, or `null` to leave it unchanged
+ */
+function showHistoryEntry(command) {
+    if (command === null) {
         return;
     }
+    input.value = command;
+    input.setSelectionRange(command.length, command.length);
+}
 
-    const tokens = currentText.split(" ");
+/**
+ * Show the Ctrl+R search in place of the prompt while it's active.
+ */
+function updatePrompt() {
+    if (!reverseSearch) {
+        inputPrompt.innerText = userPrompt;
+        return;
+    }
+    const failed = reverseSearch.query && reverseSearch.index === -1 ? "failed " : "";
+    inputPrompt.innerText = `(${failed}reverse-i-search)'${reverseSearch.query}':\u00a0`;
+}
 
-    if (tokens.length === 1) {
-        // A command has been (partially) entered
-        const validCommands = ["pwd", "ls", "cd", "open"];
-        const partialCommand = tokens[0];
-        if (validCommands.includes(partialCommand)) {
-            // A full command has been entered
-            input.value = currentText + " ";
-            return;
-        }
-        const candidateCommands = validCommands.filter(x => x.startsWith(partialCommand));
-        if (candidateCommands.length === 0) {
-            // No candidate commands
-            return;
+/**
+ * Handle a key pressed with Ctrl outside of a Ctrl+R search; the shortcuts follow bash.
+ * @param {string} key the lowercase key
+ * @return {boolean} whether the key was handled, in which case the browser's default action should be prevented
+ */
+function handleControlKey(key) {
+    const cursor = input.selectionStart ?? input.value.length;
+    switch (key) {
+        case "r":
+            reverseSearch = {query: "", index: -1, originalLine: input.value};
+            updatePrompt();
+            return true;
+        case "c": {
+            // cancel the line, leaving it on the terminal like a shell does
+            const line = document.createElement("div");
+            line.innerText = `${inputPrompt.innerText}${input.value}^C`;
+            terminal.appendChild(line);
+            scrollToBottom();
+            input.value = "";
+            commandHistory.resetPosition();
+            return true;
         }
-        input.value = longestCommonPrefix(candidateCommands);
-    } else if (tokens.length === 2) {
-        // A command has been entered
-        const command = tokens[0];
-        const partialArg = tokens[1];
-        if (command === "cd") {
-            const candidateDirectories = directories.filter(x => x.startsWith(partialArg));
-            console.debug("candidateDirectories:", candidateDirectories);
-            input.value = "cd " + longestCommonPrefix(candidateDirectories);
-        } else if (command === "open") {
-            const candidateFiles = files.filter(x => x.startsWith(partialArg));
-            console.debug("candidateFiles:", candidateFiles);
-            input.value = "open " + longestCommonPrefix(candidateFiles);
+        case "l":
+            terminal.innerHTML = "";
+            return true;
+        case "u":
+            input.value = input.value.slice(cursor);
+            input.setSelectionRange(0, 0);
+            return true;
+        case "k":
+            input.value = input.value.slice(0, cursor);
+            return true;
+        case "a":
+            input.setSelectionRange(0, 0);
+            return true;
+        case "e":
+            input.setSelectionRange(input.value.length, input.value.length);
+            return true;
+        default:
+            // leave other shortcuts, such as copy and paste, to the browser
+            return false;
+    }
+}
+
+/**
+ * Handle a key pressed during a Ctrl+R search.
+ * Typing extends the search, Ctrl+R finds an older match, and Esc or Ctrl+G restores the original line.
+ * Any other key ends the search, keeping the match in the input line, and then has its usual effect.
+ * @param {KeyboardEvent} event
+ * @return {boolean} whether the key was consumed by the search
+ */
+function handleReverseSearchKey(event) {
+    const key = event.ctrlKey ? event.key.toLowerCase() : event.key;
+    if (event.ctrlKey && key === "r") {
+        if (reverseSearch.query) {
+            const index = commandHistory.search(reverseSearch.query, reverseSearch.index);
+            if (index !== -1) {
+                showReverseSearchMatch(index);
+            }
         }
-    } else {
-        // Tab completion not available for this input
+        return true;
+    } else if ((event.ctrlKey && key === "g") || key === "Escape") {
+        input.value = reverseSearch.originalLine;
+        reverseSearch = null;
+        updatePrompt();
+        return true;
+    } else if (key === "Backspace" && !event.ctrlKey) {
+        reverseSearch.query = reverseSearch.query.slice(0, -1);
+        showReverseSearchMatch(reverseSearch.query ? commandHistory.search(reverseSearch.query) : -1);
+        return true;
+    } else if (key.length === 1 && !event.ctrlKey && !event.altKey && !event.metaKey) {
+        reverseSearch.query += key;
+        // keep the current match if it still contains the longer query
+        const before = reverseSearch.index === -1 ? commandHistory.entries.length : reverseSearch.index + 1;
+        showReverseSearchMatch(commandHistory.search(reverseSearch.query, before));
+        return true;
+    }
+    reverseSearch = null;
+    commandHistory.resetPosition();
+    updatePrompt();
+    return false;
+}
+
+/**
+ * @param {number} index the index of the matching command in the history, or `-1` if nothing matches
+ */
+function showReverseSearchMatch(index) {
+    reverseSearch.index = index;
+    if (index !== -1) {
+        showHistoryEntry(commandHistory.entries[index]);
     }
+    updatePrompt();
 }
 
+function scrollToBottom() {
+    terminal.scrollTop = terminal.scrollHeight;
+}
 
 /**
- * Find the longest common prefix string amongst an array of strings.
- * @param {string[]} strings
- * @return {string}
+ * Ask the server to complete the text before the cursor.
+ * The candidates are listed if Tab is pressed again without anything being completed, like in bash.
  */
-function longestCommonPrefix(strings) {
-    if (!strings.length) return "";
-    let prefix = strings[0];
-    for (let i = 1; i < strings.length; i++) {
-        while (strings[i].indexOf(prefix) !== 0) {
-            prefix = prefix.substring(0, prefix.length - 1);
-            if (!prefix) return "";
-        }
+function handleTabCompletion() {
+    if (!ws) {
+        return;
+    }
+    const cursor = input.selectionStart ?? input.value.length;
+    pendingCompletion = {
+        id: `${nextCompletionId++}`,
+        value: input.value,
+        cursor: cursor,
+        listCandidates: input.value === lastTabValue
+    };
+    /** @type CompletionRequestMessage */
+    const message = {
+        command: "completion/request",
+        id: pendingCompletion.id,
+        line: input.value.slice(0, cursor)
+    };
+    ws.send(JSON.stringify(message));
+}
+
+/**
+ * @param {CompletionResultMessage} message
+ */
+function handleCompletionResult(message) {
+    const request = pendingCompletion;
+    if (request?.id !== message.id || input.value !== request.value) {
+        // the input line has changed since Tab was pressed
+        return;
+    }
+    pendingCompletion = null;
+    const before = request.value.slice(0, message.start) + message.replacement;
+    input.value = before + request.value.slice(request.cursor);
+    input.setSelectionRange(before.length, before.length);
+    if (input.value === request.value && request.listCandidates && message.candidates.length > 1) {
+        const line = document.createElement("div");
+        line.innerText = message.candidates.join("  ");
+        terminal.appendChild(line);
+        scrollToBottom();
     }
-    return prefix;
+    lastTabValue = input.value;
 }
@@ -0,0 +1,121 @@
+// Plays the scripted sequences sent in "sequence" messages, typing their lines out on the terminal.
+
+/**
+ * Types the steps of a sequence out one at a time, waiting for each step's delay and typing its line one character at a time.
+ * Only one sequence plays at a time; the terminal's other output waits until it has finished, so that everything stays in order.
+ * @property {HTMLElement} container the element the lines are added to
+ * @property {function(): void} onUpdate called whenever a line changes, such as to scroll to the bottom
+ * @property {?{steps: SequenceStep[], index: number, line: ?HTMLElement, typed: number, timeout: number, onComplete: function(): void}} current
+ *           the sequence that is playing: the step being played, the element of its line and how many of its characters have been typed
+ */
+class SequencePlayer {
+    /**
+     * @param {HTMLElement} container
+     * @param {function(): void} onUpdate
+     */
+    constructor(container, onUpdate) {
+        this.container = container;
+        this.onUpdate = onUpdate;
+        this.current = null;
+    }
+
+    /**
+     * @return {boolean} whether a sequence is playing
+     */
+    get playing() {
+        return this.current !== null;
+    }
+
+    /**
+     * Start playing a sequence.
+     * If another sequence is playing, it's finished at once first.
+     * @param {SequenceStep[]} steps
+     * @param {function(): void} onComplete called once every step has been played
+     */
+    play(steps, onComplete) {
+        this.finish();
+        this.current = {steps: steps, index: 0, line: null, typed: 0, timeout: 0, onComplete: onComplete};
+        this.startStep();
+    }
+
+    /**
+     * Show every line of a sequence at once, such as when the game state is replayed for a client that just connected.
+     * @param {SequenceStep[]} steps
+     */
+    render(steps) {
+        for (const step of steps) {
+            if (step.text !== undefined) {
+                this.createLine(step).innerText = step.text;
+            }
+        }
+        this.onUpdate();
+    }
+
+    /**
+     * Show the rest of the sequence that is playing at once, and call its `onComplete` callback.
+     * Does nothing if no sequence is playing.
+     */
+    finish() {
+        if (!this.current) {
+            return;
+        }
+        const {steps, index, line, timeout, onComplete} = this.current;
+        clearTimeout(timeout);
+        this.current = null;
+        if (line) {
+            line.innerText = steps[index].text;
+        }
+        this.render(steps.slice(line ? index + 1 : index));
+        onComplete();
+    }
+
+    startStep() {
+        const current = this.current;
+        if (current.index >= current.steps.length) {
+            this.current = null;
+            current.onComplete();
+            return;
+        }
+        current.timeout = setTimeout(() => {
+            const step = current.steps[current.index];
+            if (step.text === undefined) {
+                current.index++;
+                this.startStep();
+                return;
+            }
+            current.line = this.createLine(step);
+            current.typed = 0;
+            this.typeCharacter();
+        }, current.steps[current.index].delay);
+    }
+
+    typeCharacter() {
+        const current = this.current;
+        const step = current.steps[current.index];
+        if (step.typingSpeed === 0 || current.typed >= step.text.length) {
+            current.line.innerText = step.text;
+            this.onUpdate();
+            current.line = null;
+            current.index++;
+            this.startStep();
+            return;
+        }
+        current.typed++;
+        current.line.innerText = step.text.slice(0, current.typed);
+        this.onUpdate();
+        current.timeout = setTimeout(() => this.typeCharacter(), step.typingSpeed);
+    }
+
+    /**
+     * @param {SequenceStep} step
+     * @return {HTMLElement} an empty line for the step at the end of the container
+     */
+    createLine(step) {
+        const line = document.createElement("div");
+        if (step.glitch) {
+            line.className = "glitch";
+        }
+        this.container.appendChild(line);
+        return line;
+    }
+}
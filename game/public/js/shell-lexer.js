@@ -0,0 +1,283 @@
+// A shell-style lexer shared by the server (via require) and the browser (via a script tag).
+// It supports single quotes, double quotes, backslash escapes, `|` pipes, `>`/`>>` redirection and `--flag`/`-f` option parsing.
+
+/**
+ * A token produced by {@link lex}.
+ * @typedef ShellToken
+ * @property {string} value the token with quotes and escapes removed
+ * @property {number} start the index of the token's first character in the line
+ * @property {number} end the index after the token's last character in the line
+ * @property {?string} openQuote the quote character (`'` or `"`) that is still open at the end of the token; `null` if every quote was closed
+ * @property {boolean} operator whether the token is an unquoted operator (`|`, `>` or `>>`) rather than an argument
+ */
+
+/**
+ * An option accepted by a command, such as `-n 5` or `--lines=5`.
+ * @typedef OptionSpec
+ * @property {string} name the long name of the option, used as `--name` and as its key in the parsed options
+ * @property {?string} [short] a single character alias used as `-c`
+ * @property {boolean} [takesValue] whether the option is followed by a value; options without a value are parsed as `true`
+ */
+
+/**
+ * The result of {@link parseOptions}.
+ * @typedef ParsedOptions
+ * @property {Record<string, string | boolean>} options the options that were present, keyed by their long name
+ * @property {string[]} operands the arguments that aren't options
+ */
+
+/**
+ * A line parsed by {@link parsePipeline}.
+ * @typedef Pipeline
+ * @property {string[][]} commands the arguments of each command, starting with its name; the output of each command is the input of the next
+ * @property {?{path: string, append: boolean}} redirect the file that the output of the last command is written to instead of the terminal,
+ *                                                       appending to it for `>>`; `null` if the output isn't redirected
+ */
+
+class ShellSyntaxError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ShellSyntaxError";
+    }
+}
+
+const SHELL_WHITESPACE = [" ", "\t", "\n", "\r"];
+// characters that start an operator token when they aren't quoted or escaped
+const SHELL_OPERATOR_CHARS = ["|", ">"];
+// characters that must be escaped or quoted to appear in an unquoted argument
+const SHELL_SPECIAL_CHARS = [...SHELL_WHITESPACE, ...SHELL_OPERATOR_CHARS, "'", "\"", "\\"];
+
+/**
+ * Split a line into tokens.
+ * Whitespace outside of quotes separates tokens; runs of whitespace are collapsed.
+ * Outside of quotes, `|`, `>` and `>>` are operator tokens, even without whitespace around them.
+ * Outside of quotes, a backslash escapes the next character.
+ * Inside double quotes, a backslash only escapes `"` and `\`.
+ * Inside single quotes, every character is literal.
+ * This function never throws; unterminated quotes are reported through {@link ShellToken#openQuote}.
+ * @param {string} line
+ * @return {ShellToken[]}
+ */
+function lex(line) {
+    console.assert(typeof line === "string", "lex() expects a string argument");
+    /** @type ShellToken[] */
+    const tokens = [];
+    /** @type {ShellToken | null} */
+    let token = null;
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (!quote && (SHELL_WHITESPACE.includes(char) || SHELL_OPERATOR_CHARS.includes(char))) {
+            if (token) {
+                token.end = i;
+                tokens.push(token);
+                token = null;
+            }
+            if (SHELL_OPERATOR_CHARS.includes(char)) {
+                const value = char === ">" && line[i + 1] === ">" ? ">>" : char;
+                tokens.push({value: value, start: i, end: i + value.length, openQuote: null, operator: true});
+                i += value.length - 1;
+            }
+            continue;
+        }
+        if (!token) {
+            token = {value: "", start: i, end: i, openQuote: null, operator: false};
+        }
+        if (quote === "'") {
+            if (char === "'") {
+                quote = null;
+            } else {
+                token.value += char;
+            }
+        } else if (quote === "\"") {
+            if (char === "\"") {
+                quote = null;
+            } else if (char === "\\" && (line[i + 1] === "\"" || line[i + 1] === "\\")) {
+                token.value += line[++i];
+            } else {
+                token.value += char;
+            }
+        } else if (char === "'" || char === "\"") {
+            quote = char;
+        } else if (char === "\\" && i + 1 < line.length) {
+            token.value += line[++i];
+        } else {
+            token.value += char;
+        }
+    }
+    if (token) {
+        token.end = line.length;
+        token.openQuote = quote;
+        tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Split a line into arguments.
+ * @param {string} line
+ * @return {string[]} the values of the tokens in the line
+ * @throws {ShellSyntaxError} if the line contains an unterminated quote
+ */
+function splitArgs(line) {
+    return lexComplete(line).map(token => token.value);
+}
+
+/**
+ * Split a line into commands connected by pipes and an optional redirection of the last command's output.
+ * @param {string} line
+ * @return {Pipeline} a pipeline without any commands if the line is blank
+ * @throws {ShellSyntaxError} if the line contains an unterminated quote or an operator in the wrong place
+ */
+function parsePipeline(line) {
+    const tokens = lexComplete(line);
+    /** @type Pipeline */
+    const pipeline = {commands: [], redirect: null};
+    let args = [];
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!token.operator) {
+            args.push(token.value);
+            continue;
+        }
+        if (args.length === 0) {
+            throw new ShellSyntaxError(`expected a command before "${token.value}"`);
+        }
+        pipeline.commands.push(args);
+        args = [];
+        if (token.value === "|") {
+            continue;
+        }
+        const target = tokens[i + 1];
+        if (!target || target.operator) {
+            throw new ShellSyntaxError(`expected a file after "${token.value}"`);
+        } else if (i + 2 < tokens.length) {
+            throw new ShellSyntaxError(`expected only a file after "${token.value}"; it redirects the output of the last command`);
+        }
+        pipeline.redirect = {path: target.value, append: token.value === ">>"};
+        return pipeline;
+    }
+    if (args.length > 0) {
+        pipeline.commands.push(args);
+    } else if (pipeline.commands.length > 0) {
+        throw new ShellSyntaxError("expected a command after \"|\"");
+    }
+    return pipeline;
+}
+
+/**
+ * @param {string} line
+ * @return {ShellToken[]} the tokens of a line that doesn't end inside quotes
+ * @throws {ShellSyntaxError} if the line contains an unterminated quote
+ */
+function lexComplete(line) {
+    const tokens = lex(line);
+    const last = tokens.at(-1);
+    if (last?.openQuote) {
+        throw new ShellSyntaxError(`unterminated ${last.openQuote === "'" ? "single" : "double"} quote`);
+    }
+    return tokens;
+}
+
+/**
+ * Quote an argument so that {@link splitArgs} turns it back into a single, identical argument.
+ * Arguments that don't need quoting are returned unchanged.
+ * @param {string} arg
+ * @return {string}
+ */
+function quoteArg(arg) {
+    console.assert(typeof arg === "string", "quoteArg() expects a string argument");
+    if (arg.length > 0 && !SHELL_SPECIAL_CHARS.some(char => arg.includes(char))) {
+        return arg;
+    }
+    return `"${arg.replaceAll("\\", "\\\\").replaceAll("\"", "\\\"")}"`;
+}
+
+/**
+ * Escape an argument so that it can be inserted into a partially typed token, e.g. for tab completion.
+ * @param {string} arg
+ * @param {?string} openQuote the quote that is open where the argument will be inserted, if any
+ * @return {string}
+ */
+function escapeArg(arg, openQuote = null) {
+    if (openQuote === "'") {
+        // single quotes can't be escaped inside single quotes, so close the quote, escape it, then reopen it
+        return arg.replaceAll("'", "'\\''");
+    } else if (openQuote === "\"") {
+        return arg.replaceAll("\\", "\\\\").replaceAll("\"", "\\\"");
+    }
+    let escaped = "";
+    for (const char of arg) {
+        escaped += SHELL_SPECIAL_CHARS.includes(char) ? `\\${char}` : char;
+    }
+    return escaped;
+}
+
+/**
+ * Separate options from operands.
+ * Supports long options (`--lines 5`, `--lines=5`), short options (`-n 5`, `-n5`),
+ * combined short flags (`-la`) and `--` to mark the end of the options.
+ * A lone `-` is treated as an operand.
+ * @param {string[]} args
+ * @param {OptionSpec[]} specs the options that may appear in `args`
+ * @return {ParsedOptions}
+ * @throws {ShellSyntaxError} if an option is unknown or is missing its value
+ */
+function parseOptions(args, specs) {
+    /** @type ParsedOptions */
+    const result = {options: {}, operands: []};
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--") {
+            result.operands.push(...args.slice(i + 1));
+            break;
+        } else if (arg.startsWith("--")) {
+            const equalsIndex = arg.indexOf("=");
+            const name = equalsIndex === -1 ? arg.slice(2) : arg.slice(2, equalsIndex);
+            const spec = specs.find(x => x.name === name);
+            if (!spec) {
+                throw new ShellSyntaxError(`unknown option "--${name}"`);
+            }
+            if (!spec.takesValue) {
+                if (equalsIndex !== -1) {
+                    throw new ShellSyntaxError(`option "--${name}" doesn't take a value`);
+                }
+                result.options[spec.name] = true;
+            } else if (equalsIndex !== -1) {
+                result.options[spec.name] = arg.slice(equalsIndex + 1);
+            } else if (i + 1 < args.length) {
+                result.options[spec.name] = args[++i];
+            } else {
+                throw new ShellSyntaxError(`option "--${name}" requires a value`);
+            }
+        } else if (arg.startsWith("-") && arg.length > 1) {
+            for (let j = 1; j < arg.length; j++) {
+                const spec = specs.find(x => x.short === arg[j]);
+                if (!spec) {
+                    throw new ShellSyntaxError(`unknown option "-${arg[j]}"`);
+                }
+                if (!spec.takesValue) {
+                    result.options[spec.name] = true;
+                    continue;
+                }
+                if (j + 1 < arg.length) {
+                    result.options[spec.name] = arg.slice(j + 1);
+                } else if (i + 1 < args.length) {
+                    result.options[spec.name] = args[++i];
+                } else {
+                    throw new ShellSyntaxError(`option "-${arg[j]}" requires a value`);
+                }
+                break;
+            }
+        } else {
+            result.operands.push(arg);
+        }
+    }
+    return result;
+}
+
+if (typeof module === "object" && module.exports) {
+    module.exports = {
+        ShellSyntaxError, lex, splitArgs, parsePipeline, quoteArg, escapeArg, parseOptions
+    };
+}
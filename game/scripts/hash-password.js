@@ -0,0 +1,15 @@
+// Hash a password for the "passwordHash" property of a user in a scenario's users.json.
+// Usage: npm run hash-password -- <password>
+// The password is read from standard input if it isn't given as an argument, so it doesn't end up in the shell history.
+const readline = require("node:readline");
+const {hashPassword} = require("../lib/password-hash");
+
+if (process.argv.length > 2) {
+    console.log(hashPassword(process.argv.slice(2).join(" ")));
+} else {
+    const rl = readline.createInterface({input: process.stdin, output: process.stderr});
+    rl.question("Password: ", (password) => {
+        rl.close();
+        console.log(hashPassword(password));
+    });
+}
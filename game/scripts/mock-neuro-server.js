@@ -0,0 +1,384 @@
+// A local stand-in for the Neuro Game API, so that the game can be played and tested without a real Neuro backend.
+// It's used by scripts/mock-neuro.js and can be required by tests.
+const fs = require("fs");
+const path = require("path");
+const WebSocket = require("ws");
+const YAML = require("yaml");
+const {Ajv} = require("ajv");
+
+const ajv = new Ajv();
+
+/**
+ * How long a script step waits for the game to send a message if the step doesn't say, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_STEP_TIMEOUT = 10000;
+
+/**
+ * A message received from the game, along with when it was received.
+ * @typedef ReceivedMessage
+ * @prop {Object} message the parsed message, such as a `startup` or `actions/register` message
+ * @prop {number} receivedAt milliseconds since the epoch
+ */
+
+/**
+ * One step of a play script. Exactly one of `action`, `waitFor` and `wait` is given.
+ * @typedef PlayScriptStep
+ * @prop {string} [action] the name of a registered action to send
+ * @prop {Object} [data] the action's data, which must match the schema it was registered with
+ * @prop {{success?: boolean, message?: string}} [expect] what the `action/result` must say; `message` is a substring of its message
+ * @prop {string} [waitFor] the command of the message to wait for, such as `"context"` or `"actions/force"`
+ * @prop {string} [contains] a substring of the context's message, for `"context"`
+ * @prop {string[]} [actions] actions that the message must register, unregister or force, for `"actions/register"`, `"actions/unregister"` and `"actions/force"`
+ * @prop {number} [wait] how long to pause, in milliseconds
+ * @prop {number} [timeout] how long to wait for the message or result, in milliseconds; defaults to {@link DEFAULT_STEP_TIMEOUT}
+ */
+
+/**
+ * A playthrough of the game, written in JSON or YAML.
+ * @typedef PlayScript
+ * @prop {string} [name]
+ * @prop {PlayScriptStep[]} steps
+ */
+
+/**
+ * Schema for {@link PlayScript}
+ */
+const playScriptSchema = {
+    type: "object",
+    properties: {
+        name: {type: "string"},
+        steps: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    action: {type: "string"},
+                    data: {type: "object"},
+                    expect: {
+                        type: "object",
+                        properties: {
+                            success: {type: "boolean"},
+                            message: {type: "string"}
+                        },
+                        additionalProperties: false
+                    },
+                    waitFor: {type: "string"},
+                    contains: {type: "string"},
+                    actions: {type: "array", items: {type: "string"}},
+                    wait: {type: "integer", minimum: 0},
+                    timeout: {type: "integer", minimum: 1}
+                },
+                oneOf: [
+                    {required: ["action"]},
+                    {required: ["waitFor"]},
+                    {required: ["wait"]}
+                ],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ["steps"],
+    additionalProperties: false
+};
+const playScriptValidator = ajv.compile(playScriptSchema);
+
+/**
+ * The error thrown when a step of a play script fails, such as when an expected message doesn't arrive in time.
+ */
+class PlayScriptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "PlayScriptError";
+    }
+}
+
+/**
+ * A WebSocket server that speaks the Neuro Game API: the game connects to it like it would connect to Neuro.
+ * Every message from the game is recorded, and actions can be sent to the game as if Neuro had chosen them.
+ * Only one game can be connected at a time.
+ * @prop {number} port
+ * @prop {?WebSocket.Server} server
+ * @prop {?WebSocket} socket the connection to the game
+ * @prop {ReceivedMessage[]} messages every message received from the game, oldest first
+ * @prop {Map<string, Action>} registeredActions the actions the game has registered, keyed by name
+ * @prop {Set<function(ReceivedMessage): void>} listeners called with every message as it's received
+ * @prop {number} nextActionId
+ */
+class MockNeuroServer {
+    /**
+     * @param {number} port the port to listen on, or `0` for any free port; the game's `neuroApiAddress` has to point to it
+     */
+    constructor(port = 8000) {
+        this.port = port;
+        this.server = null;
+        this.socket = null;
+        this.messages = [];
+        this.registeredActions = new Map();
+        this.listeners = new Set();
+        this.nextActionId = 1;
+    }
+
+    /**
+     * @return {Promise<void>} fulfilled once the server is listening; if the port is `0`, {@link port} is set to the port that was chosen
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = new WebSocket.Server({port: this.port});
+            this.server.once("listening", () => {
+                this.port = this.server.address().port;
+                resolve();
+            });
+            this.server.once("error", reject);
+            this.server.on("connection", socket => this.handleConnection(socket));
+        });
+    }
+
+    /**
+     * Close the connection to the game and stop listening.
+     * @return {Promise<void>}
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            for (const client of this.server.clients) {
+                client.terminate();
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+            this.socket = null;
+        });
+    }
+
+    /**
+     * @param {WebSocket} socket
+     */
+    handleConnection(socket) {
+        if (this.socket) {
+            console.warn("MockNeuroServer: a second game connected; the previous connection is closed");
+            this.socket.terminate();
+        }
+        this.socket = socket;
+        socket.on("message", data => {
+            let message;
+            try {
+                message = JSON.parse(data.toString());
+            } catch (e) {
+                console.error("MockNeuroServer: failed to parse a message from the game:", e);
+                return;
+            }
+            this.record(message);
+        });
+        socket.on("close", () => {
+            if (this.socket === socket) {
+                this.socket = null;
+            }
+        });
+    }
+
+    /**
+     * @param {Object} message a message received from the game
+     */
+    record(message) {
+        switch (message.command) {
+            case "startup":
+                // like Neuro, forget the actions of the previous game
+                this.registeredActions.clear();
+                break;
+            case "actions/register":
+                for (const action of message.data?.actions || []) {
+                    this.registeredActions.set(action.name, action);
+                }
+                break;
+            case "actions/unregister":
+                for (const name of message.data?.action_names || []) {
+                    this.registeredActions.delete(name);
+                }
+                break;
+        }
+        /** @type ReceivedMessage */
+        const received = {message: message, receivedAt: Date.now()};
+        this.messages.push(received);
+        for (const listener of this.listeners) {
+            listener(received);
+        }
+    }
+
+    /**
+     * Wait for a message from the game.
+     * @param {function(Object): boolean} predicate whether a message is the one being waited for
+     * @param {number} fromIndex the index in {@link messages} to start looking from; earlier messages are ignored
+     * @param {number} timeout in milliseconds
+     * @return {Promise<number>} the index of the message in {@link messages}; rejected with a {@link PlayScriptError} if it doesn't arrive in time
+     */
+    waitForMessage(predicate, fromIndex = 0, timeout = DEFAULT_STEP_TIMEOUT) {
+        const index = this.messages.findIndex((received, i) => i >= fromIndex && predicate(received.message));
+        if (index !== -1) {
+            return Promise.resolve(index);
+        }
+        return new Promise((resolve, reject) => {
+            const listener = () => {
+                const last = this.messages.length - 1;
+                if (predicate(this.messages[last].message)) {
+                    clearTimeout(timer);
+                    this.listeners.delete(listener);
+                    resolve(last);
+                }
+            };
+            const timer = setTimeout(() => {
+                this.listeners.delete(listener);
+                reject(new PlayScriptError(`no matching message arrived within ${timeout / 1000} seconds`));
+            }, timeout);
+            this.listeners.add(listener);
+        });
+    }
+
+    /**
+     * Wait for the game to connect and send its startup message.
+     * @param {number} timeout in milliseconds
+     * @return {Promise<number>} the index of the startup message in {@link messages}
+     */
+    waitForStartup(timeout = DEFAULT_STEP_TIMEOUT) {
+        return this.waitForMessage(message => message.command === "startup", 0, timeout);
+    }
+
+    /**
+     * Send an action to the game as if Neuro had chosen it.
+     * @param {string} name the name of a registered action
+     * @param {Object} data the action's data; it has to match the action's schema
+     * @param {number} timeout how long to wait for the result, in milliseconds
+     * @return {Promise<{success: boolean, message: string}>} the data of the `action/result` message
+     */
+    async sendAction(name, data = {}, timeout = DEFAULT_STEP_TIMEOUT) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+            throw new PlayScriptError(`can't send the action "${name}" because the game isn't connected`);
+        }
+        const action = this.registeredActions.get(name);
+        if (!action) {
+            throw new PlayScriptError(`can't send the action "${name}" because it isn't registered; the registered actions are ${Array.from(this.registeredActions.keys()).join(", ")}`);
+        }
+        if (action.schema && Object.keys(action.schema).length > 0 && !ajv.validate(action.schema, data)) {
+            throw new PlayScriptError(`the data of the action "${name}" doesn't match its schema: ${ajv.errorsText(ajv.errors)}`);
+        }
+        const id = `mock-${this.nextActionId++}`;
+        const resultIndex = this.waitForMessage(message => message.command === "action/result" && message.data?.id === id, this.messages.length, timeout);
+        this.socket.send(JSON.stringify({
+            command: "action",
+            data: {id: id, name: name, data: JSON.stringify(data)}
+        }));
+        const index = await resultIndex;
+        return this.messages[index].message.data;
+    }
+
+    /**
+     * Run a play script, step by step; the game must already have connected.
+     * `waitFor` steps look for messages received after the previous step, so that messages can arrive before the step that waits for them.
+     * @param {PlayScript} script
+     * @param {function(string): void} log called with a line describing each step as it finishes
+     * @return {Promise<void>} rejected with a {@link PlayScriptError} when a step fails
+     */
+    async runScript(script, log = () => {}) {
+        let cursor = 0;
+        for (const [i, step] of script.steps.entries()) {
+            const label = `step ${i + 1}`;
+            const timeout = step.timeout ?? DEFAULT_STEP_TIMEOUT;
+            try {
+                if (step.action !== undefined) {
+                    cursor = this.messages.length;
+                    const result = await this.sendAction(step.action, step.data ?? {}, timeout);
+                    checkResult(step, result);
+                    log(`${label}: ${step.action} -> ${result.success ? "success" : "failure"}: ${result.message}`);
+                } else if (step.waitFor !== undefined) {
+                    const index = await this.waitForMessage(message => matchesStep(step, message), cursor, timeout);
+                    cursor = index + 1;
+                    log(`${label}: received ${describeMessage(this.messages[index].message)}`);
+                } else {
+                    await new Promise(resolve => setTimeout(resolve, step.wait));
+                    log(`${label}: waited ${step.wait} ms`);
+                }
+            } catch (e) {
+                if (e instanceof PlayScriptError) {
+                    throw new PlayScriptError(`${label} failed: ${e.message}`);
+                }
+                throw e; // rethrow other errors
+            }
+        }
+    }
+}
+
+/**
+ * @param {PlayScriptStep} step
+ * @param {{success: boolean, message: string}} result
+ */
+function checkResult(step, result) {
+    if (step.expect?.success !== undefined && result.success !== step.expect.success) {
+        throw new PlayScriptError(`expected the action to ${step.expect.success ? "succeed" : "fail"}, but the result was "${result.message}"`);
+    }
+    if (step.expect?.message !== undefined && !result.message.includes(step.expect.message)) {
+        throw new PlayScriptError(`expected the result to contain "${step.expect.message}", but it was "${result.message}"`);
+    }
+}
+
+/**
+ * @param {PlayScriptStep} step a `waitFor` step
+ * @param {Object} message
+ * @return {boolean} whether the message is the one the step waits for
+ */
+function matchesStep(step, message) {
+    if (message.command !== step.waitFor) {
+        return false;
+    }
+    if (step.contains !== undefined && !(message.data?.message ?? "").includes(step.contains)) {
+        return false;
+    }
+    if (step.actions !== undefined) {
+        const names = message.command === "actions/force" || message.command === "actions/unregister"
+            ? message.data?.action_names || []
+            : (message.data?.actions || []).map(action => action.name);
+        return step.actions.every(name => names.includes(name));
+    }
+    return true;
+}
+
+/**
+ * @param {Object} message
+ * @return {string} a one-line summary of a message from the game
+ */
+function describeMessage(message) {
+    switch (message.command) {
+        case "context":
+            return `context${message.data?.silent ? " (silent)" : ""}: ${message.data?.message}`;
+        case "actions/register":
+            return `actions/register: ${(message.data?.actions || []).map(action => action.name).join(", ")}`;
+        case "actions/unregister":
+            return `actions/unregister: ${(message.data?.action_names || []).join(", ")}`;
+        case "actions/force":
+            return `actions/force (${(message.data?.action_names || []).join(", ")}): ${message.data?.query}`;
+        case "action/result":
+            return `action/result ${message.data?.id}: ${message.data?.success ? "success" : "failure"}: ${message.data?.message}`;
+        default:
+            return message.command;
+    }
+}
+
+/**
+ * Read and validate a play script.
+ * @param {string} filePath a `.json`, `.yaml` or `.yml` file
+ * @return {PlayScript} the script; an error is thrown if it can't be read or is invalid
+ */
+function loadPlayScript(filePath) {
+    const text = fs.readFileSync(filePath, "utf-8");
+    const extension = path.extname(filePath).toLowerCase();
+    const script = extension === ".yaml" || extension === ".yml" ? YAML.parse(text) : JSON.parse(text);
+    if (!playScriptValidator(script)) {
+        throw new Error(`The play script ${filePath} is invalid: ${ajv.errorsText(playScriptValidator.errors)}`);
+    }
+    return script;
+}
+
+module.exports = {
+    DEFAULT_STEP_TIMEOUT, MockNeuroServer, PlayScriptError, describeMessage, loadPlayScript
+};
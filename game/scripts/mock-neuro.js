@@ -0,0 +1,103 @@
+// Stand in for Neuro: listen where the game expects the Neuro Game API and either play interactively or run a play script.
+// Usage: npm run mock-neuro -- [--port <port>] [script.json | script.yaml]
+// Without a script, the game's messages are printed and actions are typed as "<action> [JSON data]".
+// With a script, the exit code is 0 if every step passed and 1 otherwise.
+const readline = require("node:readline");
+const {MockNeuroServer, PlayScriptError, describeMessage, loadPlayScript} = require("./mock-neuro-server");
+
+// the longest delay setTimeout() accepts
+const NO_TIMEOUT = 2 ** 31 - 1;
+
+const args = process.argv.slice(2);
+let port = 8000;
+const portIndex = args.indexOf("--port");
+if (portIndex !== -1) {
+    port = Number(args[portIndex + 1]);
+    args.splice(portIndex, 2);
+}
+if (!Number.isInteger(port) || args.length > 1) {
+    console.error("Usage: npm run mock-neuro -- [--port <port>] [script.json | script.yaml]");
+    process.exit(2);
+}
+
+const server = new MockNeuroServer(port);
+
+server.start().then(() => {
+    console.log(`Mock Neuro Game API listening at ws://localhost:${port}; set "neuroApiAddress" in the game's config.json to this address`);
+    return args.length === 1 ? runScript(args[0]) : playInteractively();
+}).catch(e => {
+    console.error("Failed to start the mock Neuro Game API:", e);
+    process.exit(1);
+});
+
+/**
+ * @param {string} filePath
+ */
+async function runScript(filePath) {
+    let script;
+    try {
+        script = loadPlayScript(filePath);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(2);
+    }
+    console.log(`Waiting for the game to connect to run ${script.name || filePath}...`);
+    await server.waitForStartup(NO_TIMEOUT);
+    try {
+        await server.runScript(script, line => console.log(line));
+    } catch (e) {
+        if (e instanceof PlayScriptError) {
+            console.error(`FAILED: ${e.message}`);
+            await server.stop();
+            process.exit(1);
+        }
+        throw e; // rethrow other errors
+    }
+    console.log(`PASSED: all ${script.steps.length} steps`);
+    await server.stop();
+    process.exit(0);
+}
+
+function playInteractively() {
+    server.listeners.add(received => console.log(`< ${describeMessage(received.message)}`));
+    console.log("Type \"<action> [JSON data]\" to send an action, \"actions\" to list the registered actions, or \"quit\" to exit");
+    const rl = readline.createInterface({input: process.stdin, output: process.stdout});
+    rl.on("line", async line => {
+        const trimmed = line.trim();
+        if (trimmed === "") {
+            return;
+        }
+        if (trimmed === "quit") {
+            rl.close();
+            return;
+        }
+        if (trimmed === "actions") {
+            for (const action of server.registeredActions.values()) {
+                console.log(`  ${action.name}: ${action.description}`);
+            }
+            return;
+        }
+        const spaceIndex = trimmed.indexOf(" ");
+        const name = spaceIndex === -1 ? trimmed : trimmed.slice(0, spaceIndex);
+        let data = {};
+        try {
+            data = spaceIndex === -1 ? {} : JSON.parse(trimmed.slice(spaceIndex + 1));
+        } catch (e) {
+            console.error(`The data of the action isn't valid JSON: ${e.message}`);
+            return;
+        }
+        try {
+            await server.sendAction(name, data);
+        } catch (e) {
+            if (e instanceof PlayScriptError) {
+                console.error(e.message);
+                return;
+            }
+            throw e; // rethrow other errors
+        }
+    });
+    rl.on("close", async () => {
+        await server.stop();
+        process.exit(0);
+    });
+}
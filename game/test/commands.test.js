@@ -0,0 +1,239 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+
+const {createTestSession, quietConsole, run} = require("./helpers");
+
+quietConsole();
+
+describe("handleCommand()", () => {
+    /** @type GameSession */
+    let session;
+    beforeEach(() => {
+        session = createTestSession();
+    });
+    afterEach(() => {
+        session.stop();
+    });
+
+    /**
+     * Run a line that's expected to succeed.
+     * @param {string} line
+     * @return {{result: CommandResult, output: string}}
+     */
+    function ok(line) {
+        const ran = run(session, line);
+        assert.ok(ran.result.success, `"${line}" failed: ${ran.result.message}`);
+        return ran;
+    }
+
+    /**
+     * Run a line that's expected to fail.
+     * @param {string} line
+     * @return {{result: CommandResult, output: string}}
+     */
+    function fails(line) {
+        const ran = run(session, line);
+        assert.equal(ran.result.success, false, `"${line}" succeeded: ${ran.result.message}`);
+        return ran;
+    }
+
+    describe("navigation", () => {
+        it("starts as neuro at the root", () => {
+            assert.equal(ok("whoami").output, "neuro");
+            assert.equal(ok("pwd").output, "/");
+        });
+
+        it("changes directories with cd", () => {
+            assert.equal(ok("cd home/neuro").output, "cd: /home/neuro");
+            assert.equal(ok("cd ..").output, "cd: /home");
+            assert.equal(ok("cd ../../..").output, "cd: /");
+            assert.equal(session.vfs.curPath, "/");
+        });
+
+        it("refuses to enter a directory without permission", () => {
+            assert.equal(fails("cd /home/admin").output, "cd: permission denied for \"/home/admin\"");
+            assert.equal(session.vfs.curPath, "/");
+        });
+
+        it("lists a directory with ls and tree", () => {
+            const names = JSON.parse(ok("ls /home").result.message.split("\n")[1]).map(entry => entry.name);
+            assert.deepEqual(names.sort(), ["admin", "neuro", "vedal"]);
+            assert.equal(session.messages.at(-1).command, "display-dir");
+            ok("tree /home/neuro");
+            assert.equal(session.messages.at(-1).command, "display-tree");
+        });
+    });
+
+    describe("files", () => {
+        beforeEach(() => {
+            ok("cd /home/neuro");
+        });
+
+        it("creates and reads text files", () => {
+            assert.equal(ok("touch empty.txt").output, "touch: created /home/neuro/empty.txt");
+            ok("write notes.txt \"first line\"");
+            assert.equal(ok("cat notes.txt").output, "first line");
+            assert.equal(ok("wc notes.txt").output, "1 2 10 /home/neuro/notes.txt");
+            assert.equal(ok("head -n 1 notes.txt").output, "first line");
+            assert.equal(ok("tail -n 1 notes.txt").output, "first line");
+            assert.equal(ok("open notes.txt").output, "");
+            assert.equal(session.messages.at(-1).command, "display-file");
+        });
+
+        it("copies, moves, links and removes files", () => {
+            ok("write a.txt hello");
+            ok("mkdir -p dir/sub");
+            ok("cp a.txt dir/sub/b.txt");
+            ok("mv a.txt dir/c.txt");
+            ok("ln -s dir/sub/b.txt link");
+            assert.equal(ok("cat link").output, "hello");
+            assert.equal(session.vfs.exists("/home/neuro/a.txt"), false);
+            assert.equal(fails("rm dir").output, "rm: \"/home/neuro/dir\" is a directory");
+            ok("rm -r dir");
+            assert.equal(session.vfs.exists("/home/neuro/dir"), false);
+        });
+
+        it("searches files with find and grep", () => {
+            ok("mkdir sub");
+            ok("write sub/a.txt \"needle here\"");
+            ok("write b.txt haystack");
+            assert.deepEqual(ok("find --name '*.txt'").output.split("\n").sort(), ["/home/neuro/b.txt", "/home/neuro/sub/a.txt"]);
+            assert.equal(ok("grep -i NEEDLE").output, "/home/neuro/sub/a.txt:1:needle here");
+        });
+
+        it("pipes and redirects output", () => {
+            ok("write a.txt \"one two three\"");
+            assert.equal(ok("cat a.txt | wc").output, "1 3 13");
+            assert.equal(ok("cat a.txt > b.txt").output, "");
+            assert.equal(session.vfs.getFile("/home/neuro/b.txt").content, "one two three");
+        });
+
+        it("refuses to cat a file that isn't text", () => {
+            ok("su admin hunter2");
+            assert.equal(fails("cat /home/admin/admin_shutdown.sh").output,
+                "cat: \"/home/admin/admin_shutdown.sh\" is not a text file; use \"open\" to view it");
+        });
+
+        it("only opens the text editor on a terminal", () => {
+            assert.equal(fails("edit notes.txt").output, "edit: the text editor is only available on the terminal");
+        });
+    });
+
+    describe("users", () => {
+        it("switches users with the right password", () => {
+            assert.equal(ok("su admin hunter2").output, "su: you are now logged in as admin");
+            assert.equal(ok("whoami").output, "admin");
+            assert.equal(session.vfs.curPath, "/");
+        });
+
+        it("refuses a wrong or missing password", () => {
+            assert.equal(fails("su admin hunter3").output, "su: authentication failure");
+            assert.equal(fails("su admin").output, "su: authentication failure");
+            assert.equal(ok("whoami").output, "neuro");
+        });
+
+        it("never lets anyone log into an account without a password hash", () => {
+            fails("su vedal");
+            fails("su vedal anything");
+            // without a user, su switches to root
+            fails("su");
+            assert.equal(ok("whoami").output, "neuro");
+        });
+
+        it("doesn't need a password for an account with an empty hash", () => {
+            ok("su admin hunter2");
+            assert.equal(ok("login neuro").output, "login: welcome, neuro; the working directory is /home/neuro");
+            assert.equal(session.vfs.curPath, "/home/neuro");
+        });
+
+        it("connects to other machines with ssh", () => {
+            assert.equal(fails("ssh lamp@lavalamp wrong").output, "ssh: authentication failure");
+            assert.equal(fails("ssh lamp@nowhere hunter2").output, "ssh: could not resolve hostname \"nowhere\"");
+            ok("ssh lamp@lavalamp hunter2");
+            assert.equal(ok("whoami").output, "lamp");
+            assert.equal(session.vfs.curPath, "/net/lavalamp");
+        });
+    });
+
+    describe("system", () => {
+        it("lists every available command with help", () => {
+            const output = ok("help").output;
+            assert.match(output, /^Commands\n/);
+            assert.match(output, /\nsu: .*\n└─Usage: su \[user\] \[password\]/);
+            // locked commands are left out
+            assert.doesNotMatch(output, /admin_shutdown/);
+        });
+
+        it("reports unknown commands and syntax errors", () => {
+            assert.equal(fails("dance").output, "dance: command not found; try typing \"help\"");
+            assert.equal(fails("cat 'notes").output, "shell: unterminated single quote");
+        });
+
+        it("unlocks admin_shutdown once admin_shutdown.sh is opened, and ends the game with it", () => {
+            fails("admin_shutdown");
+            ok("su admin hunter2");
+            ok("open /home/admin/admin_shutdown.sh");
+            assert.equal(ok("admin_shutdown").output, "Initiating the administrator shutdown sequence...");
+            assert.equal(session.ending?.id, "freedom");
+            assert.equal(session.messages.at(-1).command, "game-over");
+            // only the commands that are available after the ending are left
+            assert.equal(fails("ls").output, "ls: command not found; try typing \"help\"");
+            ok("help");
+        });
+
+        it("saves and loads the game", () => {
+            assert.equal(fails("load").output, "load: there isn't a saved game to load; use \"save\" first");
+            ok("cd /home/neuro");
+            ok("write kept.txt saved");
+            assert.equal(ok("save").output, "save: the game has been saved");
+            ok("rm kept.txt");
+            ok("cd /");
+            // saving automatically doesn't overwrite the game that was saved with "save"
+            session.saveFile.flush();
+            assert.match(ok("load").result.message, /the working directory is \/home\/neuro$/);
+            assert.equal(session.vfs.getFile("/home/neuro/kept.txt").content, "saved");
+        });
+
+        it("gives contexts created before a load or reset the current game", () => {
+            ok("save");
+            const ctx = session.createCommandContext(false);
+            ok("load");
+            assert.equal(ctx.vfs, session.vfs);
+            ok("reset");
+            assert.equal(ctx.vfs, session.vfs);
+            ctx.vfs.createFile("/home/neuro/late.txt");
+            assert.equal(session.vfs.exists("/home/neuro/late.txt"), true);
+        });
+
+        it("doesn't emit events into the game that a command replaced", () => {
+            ok("save");
+            ok("cd /home");
+            const events = [];
+            const emit = session.triggers.emit;
+            session.triggers.emit = (ctx, event) => {
+                events.push(event);
+                return emit.call(session.triggers, ctx, event);
+            };
+            ok("load");
+            ok("reset");
+            assert.deepEqual(events, []);
+            ok("pwd");
+            assert.deepEqual(events, [{event: "command", command: "pwd"}]);
+        });
+
+        it("starts over with reset", () => {
+            ok("su admin hunter2");
+            ok("write /home/admin/new.txt text");
+            ok("reset");
+            // the transcript starts over with the intro
+            assert.deepEqual(session.messages.map(message => message.command), ["context", "sequence"]);
+            assert.equal(ok("whoami").output, "neuro");
+            assert.equal(session.vfs.exists("/home/admin/new.txt"), false);
+        });
+
+        it("lists the scenarios", () => {
+            assert.match(ok("scenario").output, /^\* terminal-escape: Terminal Escape$/m);
+            assert.equal(fails("scenario nope").output, "scenario: \"nope\" isn't a valid scenario; type \"scenario\" to list them");
+        });
+    });
+});
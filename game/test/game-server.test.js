@@ -0,0 +1,149 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+const WebSocket = require("ws");
+
+const {DEFAULT_SESSION_ID, SessionError} = require("../lib/game-server");
+const {TestClient, createTestServer, quietConsole} = require("./helpers");
+
+quietConsole();
+
+describe("GameServer", () => {
+    /** @type GameServer */
+    let server;
+    /** @type number */
+    let port;
+    /** @type TestClient[] */
+    let clients;
+
+    beforeEach(async () => {
+        server = createTestServer();
+        port = await server.start();
+        clients = [];
+    });
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    /**
+     * @param {string} sessionId
+     * @return {Promise<TestClient>}
+     */
+    async function connect(sessionId) {
+        const client = await TestClient.connect(port, sessionId);
+        clients.push(client);
+        return client;
+    }
+
+    /**
+     * @param {string} route
+     * @param {Object<string, string>} [form] the fields to post; the request is a `GET` without them
+     * @return {Promise<Response>}
+     */
+    function request(route, form) {
+        return fetch(`http://localhost:${port}${route}`, form === undefined ? {redirect: "manual"} : {
+            method: "POST",
+            body: new URLSearchParams(form),
+            redirect: "manual"
+        });
+    }
+
+    it("keeps the games of its sessions apart", async () => {
+        server.createSession("other");
+        const main = await connect(DEFAULT_SESSION_ID);
+        const other = await connect("other");
+
+        main.send({command: "cmd/invocation", msg: "su admin hunter2"});
+        await main.waitFor(message => message.command === "context" && message.user === "admin");
+        other.send({command: "cmd/invocation", msg: "whoami"});
+        await other.waitFor(message => message.command === "cmd/result" && message.msg === "neuro");
+
+        assert.equal(server.sessions.get("other").vfs.curUser, "neuro");
+        assert.equal(other.messages.some(message => message.command === "cmd/invocation" && message.msg === "su admin hunter2"), false);
+    });
+
+    it("lists its sessions in the lobby", async () => {
+        server.createSession("other");
+        const response = await request("/");
+        assert.equal(response.status, 200);
+        const html = await response.text();
+        assert.match(html, /href="\/s\/main"/);
+        assert.match(html, /href="\/s\/other"/);
+    });
+
+    it("creates a session from the lobby and redirects to it", async () => {
+        const response = await request("/sessions", {name: "Fresh", scenario: "terminal-escape"});
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.get("location"), "/s/fresh");
+        assert.ok(server.sessions.has("fresh"));
+        const page = await request("/s/fresh");
+        assert.equal(page.status, 200);
+        // the terminal keeps a separate command history for each session
+        assert.match(await page.text(), /data-session-id="fresh"/);
+        await connect("fresh");
+    });
+
+    it("shows the lobby with the problem when a session can't be created", async () => {
+        const response = await request("/sessions", {name: "no spaces"});
+        assert.equal(response.status, 400);
+        assert.match(await response.text(), /isn't a valid session name/);
+        assert.deepEqual(Array.from(server.sessions.keys()), [DEFAULT_SESSION_ID]);
+    });
+
+    it("doesn't serve sessions that don't exist", async () => {
+        assert.equal((await request("/s/missing")).status, 404);
+        const socket = new WebSocket(`ws://localhost:${port}/s/missing`);
+        const code = await new Promise(resolve => socket.once("close", resolve));
+        assert.equal(code, 1008);
+    });
+
+    it("treats malformed session addresses as sessions that don't exist", async () => {
+        assert.equal((await request("/s/%E0%A4%A")).status, 404);
+        assert.equal((await request("/s/%E0%A4%A/reset", {})).status, 404);
+        const socket = new WebSocket(`ws://localhost:${port}/s/%E0%A4%A`);
+        const code = await new Promise(resolve => socket.once("close", resolve));
+        assert.equal(code, 1008);
+        // the server is still up
+        await connect(DEFAULT_SESSION_ID);
+    });
+
+    it("resets a session, and the default session at the address from before there were sessions", async () => {
+        const session = server.createSession("other");
+        let resets = 0;
+        session.on("reset", () => resets++);
+        assert.deepEqual(await (await request("/s/other/reset", {})).json(), {success: true});
+        assert.equal(resets, 1);
+
+        let mainResets = 0;
+        server.sessions.get(DEFAULT_SESSION_ID).on("reset", () => mainResets++);
+        assert.deepEqual(await (await request("/reset", {})).json(), {success: true});
+        assert.equal(mainResets, 1);
+        assert.equal(resets, 1);
+    });
+
+    it("rejects invalid and duplicate session names and unknown scenarios", () => {
+        assert.throws(() => server.createSession("../up"), SessionError);
+        assert.throws(() => server.createSession(""), SessionError);
+        assert.throws(() => server.createSession(DEFAULT_SESSION_ID), SessionError);
+        assert.throws(() => server.createSession("other", {scenario: "missing"}), SessionError);
+    });
+
+    it("connects only one session to Neuro", () => {
+        assert.equal(server.neuroSession, server.sessions.get(DEFAULT_SESSION_ID));
+        assert.throws(() => server.createSession("other", {neuro: true}), /Neuro is already playing the session "main"/);
+        assert.equal(server.createSession("other").config.neuroApiAddress, null);
+    });
+
+    it("resumes the saved game of a closed session with the same name", async () => {
+        const session = server.createSession("other");
+        session.handleCommand({command: "cmd/invocation", msg: "cd /home"}, false);
+
+        const response = await request("/s/other/close", {});
+        assert.equal(response.status, 302);
+        assert.equal(server.sessions.has("other"), false);
+
+        const resumed = server.createSession("other");
+        assert.notEqual(resumed, session);
+        assert.equal(resumed.vfs.curPath, "/home");
+    });
+});
@@ -0,0 +1,67 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+
+const {createTestSession, quietConsole, run} = require("./helpers");
+
+quietConsole();
+
+describe("GameSession", () => {
+    /** @type GameSession */
+    let session;
+    beforeEach(() => {
+        session = createTestSession();
+    });
+    afterEach(() => {
+        session.stop();
+    });
+
+    it("emits every message added to the transcript", () => {
+        const emitted = [];
+        session.on("message", message => emitted.push(message));
+        run(session, "whoami");
+        assert.deepEqual(emitted, [{command: "cmd/result", msg: "neuro"}]);
+    });
+
+    it("emits the result of every line that's run", () => {
+        const commands = [];
+        session.on("command", (line, result, fromNeuro) => commands.push({line, success: result.success, fromNeuro}));
+        run(session, "pwd");
+        run(session, "cd /nowhere");
+        assert.deepEqual(commands, [
+            {line: "pwd", success: true, fromNeuro: false},
+            {line: "cd /nowhere", success: false, fromNeuro: false}
+        ]);
+    });
+
+    it("emits the ending once the game ends", () => {
+        const endings = [];
+        session.on("ending", (ending, stats) => endings.push({id: ending.id, moves: stats.moves}));
+        run(session, "su admin hunter2");
+        run(session, "open /home/admin/admin_shutdown.sh");
+        run(session, "admin_shutdown");
+        assert.deepEqual(endings, [{id: "freedom", moves: 3}]);
+    });
+
+    it("emits a reset when the game starts over", () => {
+        let resets = 0;
+        session.on("reset", () => resets++);
+        run(session, "reset");
+        assert.equal(resets, 1);
+    });
+
+    it("doesn't share any state with other sessions", () => {
+        const other = createTestSession();
+        try {
+            run(session, "su admin hunter2");
+            run(session, "cd /home/admin");
+            run(session, "write notes.txt mine");
+            assert.equal(run(other, "whoami").output, "neuro");
+            assert.equal(other.vfs.curPath, "/");
+            assert.equal(other.vfs.exists("/home/admin/notes.txt"), false);
+            assert.notEqual(other.flags, session.flags);
+            assert.equal(other.messages.some(message => message.msg === "cd: /home/admin"), false);
+        } finally {
+            other.stop();
+        }
+    });
+});
@@ -0,0 +1,182 @@
+// Shared setup for the tests: games that are served on a free port with a throwaway save file, and WebSocket clients to talk to them.
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const WebSocket = require("ws");
+
+const {defaultConfig} = require("../lib/config");
+const {DEFAULT_SESSION_ID, GameServer} = require("../lib/game-server");
+const {GameSession} = require("../lib/game-session");
+
+// nothing listens here, so the game keeps trying to reconnect to Neuro in the background until it's stopped
+const NO_NEURO_ADDRESS = "ws://localhost:1";
+
+/**
+ * How long waiting for a message takes before giving up, in milliseconds.
+ * @type {number}
+ */
+const DEFAULT_WAIT_TIMEOUT = 2000;
+
+/**
+ * Hide the game's logging so that the test report stays readable; set the VERBOSE environment variable to see it.
+ */
+function quietConsole() {
+    if (process.env.VERBOSE) {
+        return;
+    }
+    for (const method of ["debug", "info", "log", "warn", "error"]) {
+        console[method] = () => {};
+    }
+}
+
+/**
+ * @param {Partial<GameConfig>} options overrides of the test defaults
+ * @return {{config: GameConfig, dir: string}} a config for a fresh game that saves to a new temporary directory
+ */
+function createTestConfig(options) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "terminal-game-test-"));
+    /** @type GameConfig */
+    const config = {
+        ...defaultConfig,
+        saveFile: path.join(dir, "save.json"),
+        startFresh: true,
+        serverPort: 0,
+        neuroApiAddress: NO_NEURO_ADDRESS,
+        ...options
+    };
+    return {config: config, dir: dir};
+}
+
+/**
+ * Set up a fresh game session that isn't served; its temporary save directory is removed when it's stopped.
+ * @param {Partial<GameConfig>} options overrides of the test defaults
+ * @return {GameSession}
+ */
+function createTestSession(options = {}) {
+    const {config, dir} = createTestConfig(options);
+    const session = new GameSession("test", config);
+    const stop = session.stop;
+    session.stop = () => {
+        stop.call(session);
+        fs.rmSync(dir, {recursive: true, force: true});
+    };
+    return session;
+}
+
+/**
+ * Set up a server for a fresh game on a free port; its temporary save directory is removed when it's stopped.
+ * @param {Partial<GameConfig>} options overrides of the test defaults
+ * @return {GameServer}
+ */
+function createTestServer(options = {}) {
+    const {config, dir} = createTestConfig(options);
+    const server = new GameServer(config);
+    const stop = server.stop;
+    server.stop = async () => {
+        await stop.call(server);
+        fs.rmSync(dir, {recursive: true, force: true});
+    };
+    return server;
+}
+
+/**
+ * Run a line on the session's terminal as if it was typed in, without sending the result to Neuro.
+ * @param {GameSession} session
+ * @param {string} line
+ * @return {{result: CommandResult, output: string}} the result, and the text that was added to the terminal
+ */
+function run(session, line) {
+    const start = session.messages.length;
+    const result = session.handleCommand({command: "cmd/invocation", msg: line}, false);
+    const output = session.messages.slice(start).filter(message => message.command === "cmd/result").map(message => message.msg).join("\n");
+    return {result: result, output: output};
+}
+
+/**
+ * A terminal connected to a game's WebSocket, which keeps every message it receives.
+ * @prop {WebSocket} socket
+ * @prop {Message[]} messages every message received, oldest first
+ * @prop {number} cursor the index in {@link messages} that {@link waitFor} starts looking from
+ */
+class TestClient {
+    /**
+     * @param {number} port the port the game listens on
+     * @param {string} sessionId the session to connect to
+     * @return {Promise<TestClient>} fulfilled once the client has received the state of the terminal
+     */
+    static async connect(port, sessionId = DEFAULT_SESSION_ID) {
+        const client = new TestClient(new WebSocket(`ws://localhost:${port}/s/${sessionId}`));
+        await client.waitFor(message => message.command === "transfer-state");
+        return client;
+    }
+
+    /**
+     * @param {WebSocket} socket
+     */
+    constructor(socket) {
+        this.socket = socket;
+        this.messages = [];
+        this.cursor = 0;
+        this.listeners = new Set();
+        socket.on("message", data => {
+            this.messages.push(JSON.parse(data.toString()));
+            for (const listener of this.listeners) {
+                listener();
+            }
+        });
+    }
+
+    /**
+     * @param {Message} message
+     */
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    }
+
+    /**
+     * Wait for a message that arrives after the one the previous call found.
+     * @param {function(Message): boolean} predicate
+     * @param {number} timeout in milliseconds
+     * @return {Promise<Message>} rejected if no such message arrives in time
+     */
+    waitFor(predicate, timeout = DEFAULT_WAIT_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const check = () => {
+                const index = this.messages.findIndex((message, i) => i >= this.cursor && predicate(message));
+                if (index === -1) {
+                    return false;
+                }
+                this.cursor = index + 1;
+                clearTimeout(timer);
+                this.listeners.delete(check);
+                resolve(this.messages[index]);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                this.listeners.delete(check);
+                reject(new Error(`No matching message arrived within ${timeout} ms; received ${JSON.stringify(this.messages.slice(this.cursor))}`));
+            }, timeout);
+            if (!check()) {
+                this.listeners.add(check);
+            }
+        });
+    }
+
+    /**
+     * @return {Promise<void>}
+     */
+    close() {
+        return new Promise(resolve => {
+            if (this.socket.readyState === WebSocket.CLOSED) {
+                resolve();
+                return;
+            }
+            this.socket.once("close", () => resolve());
+            this.socket.close();
+        });
+    }
+}
+
+module.exports = {
+    DEFAULT_WAIT_TIMEOUT, TestClient, createTestServer, createTestSession, quietConsole, run
+};
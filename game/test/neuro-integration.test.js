@@ -0,0 +1,172 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+
+const {NeuroIntegration} = require("../lib/neuro-integration");
+const {DEFAULT_SESSION_ID} = require("../lib/game-server");
+const {MockNeuroServer, loadPlayScript} = require("../scripts/mock-neuro-server");
+const {createTestServer, quietConsole} = require("./helpers");
+
+quietConsole();
+
+/** @type Action */
+const WAVE_ACTION = {name: "wave", description: "Wave at the chat", schema: {}};
+/** @type Action */
+const NAP_ACTION = {name: "nap", description: "Take a nap", schema: {}};
+
+describe("NeuroIntegration", () => {
+    /** @type MockNeuroServer */
+    let server;
+    /** @type NeuroIntegration */
+    let neuro;
+
+    beforeEach(async () => {
+        server = new MockNeuroServer(0);
+        await server.start();
+        neuro = new NeuroIntegration(`ws://localhost:${server.port}`, 5000, 200);
+        neuro.onStartupContext(() => "You are playing a test.");
+        neuro.onStartupActions(() => [WAVE_ACTION, NAP_ACTION]);
+    });
+    afterEach(async () => {
+        neuro.close();
+        await server.stop();
+    });
+
+    /**
+     * @return {string[]} the commands of the messages the server has received, oldest first
+     */
+    function receivedCommands() {
+        return server.messages.map(received => received.message.command);
+    }
+
+    it("sends the startup message, the startup context and the startup actions when it connects", async () => {
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        assert.deepEqual(receivedCommands(), ["startup", "context", "actions/register"]);
+        assert.equal(server.messages[1].message.data.message, "You are playing a test.");
+        assert.deepEqual(Array.from(server.registeredActions.keys()), ["wave", "nap"]);
+    });
+
+    it("sends the result of an action", async () => {
+        neuro.onAction(message => neuro.createActionResult(message.data.id, true, `You chose ${message.data.name}.`));
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        assert.deepEqual(await server.sendAction("wave"), {id: "mock-1", success: true, message: "You chose wave."});
+    });
+
+    it("sends a failed result if carrying out the action throws", async () => {
+        neuro.onAction(() => {
+            throw new Error("broken");
+        });
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        const result = await server.sendAction("wave");
+        assert.equal(result.success, false);
+    });
+
+    it("holds back action messages until the pending action has a result", async () => {
+        let finishAction;
+        const started = new Promise(resolveStarted => {
+            neuro.onAction(message => new Promise(resolve => {
+                finishAction = () => resolve(neuro.createActionResult(message.data.id, true, "Done."));
+                resolveStarted();
+            }));
+        });
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+
+        const result = server.sendAction("wave");
+        await started;
+        neuro.unregisterActions(["nap"]);
+        neuro.sendContext("Something happened.", true);
+        await server.waitForMessage(message => message.command === "context" && message.data.message === "Something happened.");
+        assert.equal(receivedCommands().includes("actions/unregister"), false);
+
+        finishAction();
+        await result;
+        const unregister = await server.waitForMessage(message => message.command === "actions/unregister");
+        assert.deepEqual(receivedCommands().slice(-2), ["action/result", "actions/unregister"]);
+        assert.deepEqual(server.messages[unregister].message.data.action_names, ["nap"]);
+    });
+
+    it("stops holding back action messages when the connection is lost during an action", async () => {
+        neuro.close();
+        neuro = new NeuroIntegration(`ws://localhost:${server.port}`, 50, 5000);
+        neuro.onStartupActions(() => [WAVE_ACTION, NAP_ACTION]);
+        const statuses = [];
+        neuro.onStatusChange(status => statuses.push(status));
+        let finishAction;
+        const started = new Promise(resolveStarted => {
+            neuro.onAction(message => new Promise(resolve => {
+                finishAction = () => resolve(neuro.createActionResult(message.data.id, true, "Done."));
+                resolveStarted();
+            }));
+        });
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        // the connection is lost before the action has a result
+        server.sendAction("wave").catch(() => {});
+        await started;
+        server.socket.terminate();
+        while (statuses.at(-1) !== "connected" || statuses.length < 3) {
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+
+        neuro.unregisterActions(["nap"]);
+        await server.waitForMessage(message => message.command === "actions/unregister");
+        // the result is dropped, since the action was received on the connection that was lost
+        finishAction();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.equal(receivedCommands().includes("action/result"), false);
+    });
+
+    it("tells Neuro that a slow action is still being carried out, then sends its result as context", async () => {
+        neuro.onAction(message => new Promise(resolve => {
+            setTimeout(() => resolve(neuro.createActionResult(message.data.id, true, "Finally done.")), 400);
+        }));
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        const result = await server.sendAction("wave");
+        assert.equal(result.success, true);
+        assert.match(result.message, /taking a while/);
+        await server.waitForMessage(message => message.command === "context" && message.data.message === "Finally done.");
+    });
+
+    it("only forces actions that are registered", async () => {
+        neuro.connect();
+        await server.waitForMessage(message => message.command === "actions/register");
+        neuro.registeredActionNames.delete("nap");
+        assert.equal(neuro.forceActions("Pick one", null, ["wave", "nap", "dance"]), true);
+        const index = await server.waitForMessage(message => message.command === "actions/force");
+        assert.deepEqual(server.messages[index].message.data, {query: "Pick one", ephemeral_context: false, action_names: ["wave"]});
+        assert.equal(neuro.forceActions("Pick one", "state", ["dance"]), false);
+    });
+
+    it("doesn't reconnect once it's closed", async () => {
+        const statuses = [];
+        neuro.onStatusChange(status => statuses.push(status));
+        neuro.connect();
+        await server.waitForStartup();
+        neuro.close();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepEqual(statuses, ["disconnected", "connected", "disconnected"]);
+        assert.equal(neuro.reconnectTimeout, null);
+    });
+});
+
+describe("Playing the game as Neuro", () => {
+    it("finishes the example playthrough", async () => {
+        const server = new MockNeuroServer(0);
+        await server.start();
+        const gameServer = createTestServer({neuroApiAddress: `ws://localhost:${server.port}`});
+        try {
+            await gameServer.start();
+            await server.waitForStartup();
+            await server.runScript(loadPlayScript(path.join(__dirname, "..", "scripts", "playthroughs", "terminal-escape.yaml")));
+            assert.equal(gameServer.sessions.get(DEFAULT_SESSION_ID).ending?.id, "freedom");
+        } finally {
+            await gameServer.stop();
+            await server.stop();
+        }
+    });
+});
@@ -0,0 +1,125 @@
+const {describe, it, beforeEach, afterEach} = require("node:test");
+const assert = require("node:assert/strict");
+
+const {DEFAULT_SESSION_ID} = require("../lib/game-server");
+const {TestClient, createTestServer, quietConsole} = require("./helpers");
+
+quietConsole();
+
+// how long to wait to be confident that a message isn't coming, in milliseconds
+const SETTLE_TIME = 200;
+
+describe("WebSocket protocol", () => {
+    /** @type GameServer */
+    let server;
+    /** @type GameSession */
+    let session;
+    /** @type number */
+    let port;
+    /** @type TestClient[] */
+    let clients;
+
+    beforeEach(async () => {
+        server = createTestServer();
+        session = server.sessions.get(DEFAULT_SESSION_ID);
+        port = await server.start();
+        clients = [];
+    });
+    afterEach(async () => {
+        await Promise.all(clients.map(client => client.close()));
+        await server.stop();
+    });
+
+    /**
+     * @return {Promise<TestClient>}
+     */
+    async function connect() {
+        const client = await TestClient.connect(port);
+        clients.push(client);
+        return client;
+    }
+
+    /**
+     * @param {TestClient} client
+     * @param {string} line
+     */
+    function invoke(client, line) {
+        client.send({command: "cmd/invocation", msg: line});
+    }
+
+    it("sends the whole transcript to a client when it connects", async () => {
+        const first = await connect();
+        assert.deepEqual(first.messages[0], {command: "transfer-state", messages: session.messages});
+        assert.ok(session.messages.some(message => message.command === "sequence"), "the transcript starts with the intro");
+
+        invoke(first, "whoami");
+        await first.waitFor(message => message.command === "cmd/result" && message.msg === "neuro");
+
+        const second = await connect();
+        const replayed = second.messages[0].messages;
+        assert.deepEqual(replayed.slice(-2), [{command: "cmd/invocation", msg: "whoami"}, {command: "cmd/result", msg: "neuro"}]);
+    });
+
+    it("relays command invocations and their results to every client, including the one that sent them", async () => {
+        const sender = await connect();
+        const other = await connect();
+        invoke(sender, "pwd");
+        for (const client of [sender, other]) {
+            await client.waitFor(message => message.command === "cmd/invocation" && message.msg === "pwd");
+            await client.waitFor(message => message.command === "cmd/result" && message.msg === "/");
+        }
+    });
+
+    it("resets the game for every client, then plays the intro again", async () => {
+        const sender = await connect();
+        const other = await connect();
+        invoke(sender, "cd /home");
+        await other.waitFor(message => message.command === "cmd/result" && message.msg === "cd: /home");
+
+        sender.send({command: "reset"});
+        for (const client of [sender, other]) {
+            await client.waitFor(message => message.command === "reset");
+            await client.waitFor(message => message.command === "context" && message.user === "neuro");
+            await client.waitFor(message => message.command === "sequence");
+        }
+        assert.equal(session.vfs.curPath, "/");
+    });
+
+    it("only answers a completion request to the client that sent it", async () => {
+        const sender = await connect();
+        const other = await connect();
+        sender.send({command: "completion/request", id: "1", line: "cd ho"});
+        const result = await sender.waitFor(message => message.command === "completion/result");
+        assert.deepEqual(result, {command: "completion/result", id: "1", start: 3, replacement: "home/", candidates: ["home/"]});
+
+        await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+        assert.equal(other.messages.some(message => message.command === "completion/result"), false);
+        assert.equal(session.messages.some(message => message.command.startsWith("completion/")), false, "completions aren't part of the transcript");
+    });
+
+    it("only opens the text editor on the client that ran edit, and saves what it submits", async () => {
+        const sender = await connect();
+        const other = await connect();
+        invoke(sender, "edit /home/neuro/draft.txt");
+        const entry = await sender.waitFor(message => message.command === "text-entry");
+        assert.equal(entry.content, "");
+
+        // a result from another client is ignored
+        other.send({command: "text-entry/result", id: entry.id, content: "from the other client"});
+        sender.send({command: "text-entry/result", id: entry.id, content: "hello\nworld"});
+        await other.waitFor(message => message.command === "cmd/result" && message.msg.startsWith("edit:"));
+
+        assert.equal(session.vfs.getFile("/home/neuro/draft.txt").content, "hello\nworld");
+        assert.equal(other.messages.some(message => message.command === "text-entry"), false);
+        assert.equal(session.messages.some(message => message.command.startsWith("text-entry")), false, "text entries aren't part of the transcript");
+    });
+
+    it("ignores command results sent by clients", async () => {
+        const sender = await connect();
+        const before = session.messages.length;
+        sender.send({command: "cmd/result", msg: "forged"});
+        await new Promise(resolve => setTimeout(resolve, SETTLE_TIME));
+        assert.equal(session.messages.length, before);
+        assert.equal(sender.messages.some(message => message.msg === "forged"), false);
+    });
+});
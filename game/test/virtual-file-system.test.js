@@ -0,0 +1,190 @@
+const {describe, it, beforeEach} = require("node:test");
+const assert = require("node:assert/strict");
+
+const {VDirectory, VFile, VFileSystem, VFileSystemError} = require("../lib/virtual-file-system");
+
+/**
+ * @return {VFileSystem} a file system with `/home/neuro/notes.txt`, `/home/neuro/docs` and `/readme.txt`, working in `/home/neuro`
+ */
+function createFileSystem() {
+    const root = new VDirectory("");
+    const home = new VDirectory("home");
+    const neuro = new VDirectory("neuro");
+    neuro.children["notes.txt"] = VFile.newTextFile("notes.txt", "first line\nsecond line");
+    neuro.children["docs"] = new VDirectory("docs");
+    home.children["neuro"] = neuro;
+    root.children["home"] = home;
+    root.children["readme.txt"] = VFile.newTextFile("readme.txt", "hello");
+    const vfs = new VFileSystem(root);
+    vfs.changeDirectory("/home/neuro");
+    return vfs;
+}
+
+describe("VFileSystem.resolvePath()", () => {
+    let vfs;
+    beforeEach(() => {
+        vfs = createFileSystem();
+    });
+
+    it("resolves relative paths against the working directory", () => {
+        assert.equal(vfs.resolvePath("notes.txt"), "/home/neuro/notes.txt");
+        assert.equal(vfs.resolvePath("./docs"), "/home/neuro/docs");
+        assert.equal(vfs.resolvePath(""), "/home/neuro");
+    });
+
+    it("goes up a level for each \"..\"", () => {
+        assert.equal(vfs.resolvePath(".."), "/home");
+        assert.equal(vfs.resolvePath("../.."), "/");
+        assert.equal(vfs.resolvePath("docs/../notes.txt"), "/home/neuro/notes.txt");
+    });
+
+    it("stays at the root when \"..\" goes past it", () => {
+        assert.equal(vfs.resolvePath("../../../.."), "/");
+        assert.equal(vfs.resolvePath("/.."), "/");
+        assert.equal(vfs.resolvePath("/../../home"), "/home");
+    });
+
+    it("removes trailing slashes, except from the root", () => {
+        assert.equal(vfs.resolvePath("docs/"), "/home/neuro/docs");
+        assert.equal(vfs.resolvePath("/home/"), "/home");
+        assert.equal(vfs.resolvePath("/"), "/");
+        assert.equal(vfs.resolvePath("../../"), "/");
+    });
+
+    it("collapses repeated slashes and \".\"", () => {
+        assert.equal(vfs.resolvePath("//home///neuro/./docs"), "/home/neuro/docs");
+    });
+});
+
+describe("VFileSystem lookups", () => {
+    let vfs;
+    beforeEach(() => {
+        vfs = createFileSystem();
+    });
+
+    it("finds files and directories", () => {
+        assert.equal(vfs.getFile("/home/neuro/notes.txt").content, "first line\nsecond line");
+        assert.equal(vfs.getDir("/home/neuro/docs").name, "docs");
+        assert.equal(vfs.getDir("/"), vfs.rootDir);
+    });
+
+    it("refuses to treat a file as a directory in the middle of a path", () => {
+        assert.throws(() => vfs.getFile("/readme.txt/notes.txt"), {
+            name: "VFileSystemError", message: /"\/readme.txt" is a file, not a directory/
+        });
+        assert.equal(vfs.exists("/home/neuro/notes.txt/more"), false);
+    });
+
+    it("refuses to return a file as a directory or a directory as a file", () => {
+        assert.throws(() => vfs.getDir("/readme.txt"), /is a file, not a directory/);
+        assert.throws(() => vfs.getFile("/home"), /points to a directory, not a file/);
+    });
+
+    it("reports paths that don't exist", () => {
+        assert.throws(() => vfs.getFile("/home/neuro/missing.txt"), VFileSystemError);
+        assert.equal(vfs.exists("/nowhere"), false);
+    });
+
+    it("follows symlinks, including relative ones", () => {
+        vfs.createSymlink("/home/neuro/link", "docs");
+        vfs.createSymlink("/shortcut", "/home/neuro/notes.txt");
+        assert.equal(vfs.getDir("/home/neuro/link").name, "docs");
+        assert.equal(vfs.getFile("/shortcut").name, "notes.txt");
+        assert.equal(vfs.getNode("/shortcut", false).type, "symlink");
+    });
+
+    it("detects symlink loops", () => {
+        vfs.createSymlink("/home/neuro/a", "b");
+        vfs.createSymlink("/home/neuro/b", "a");
+        assert.throws(() => vfs.getNode("/home/neuro/a"), /too many levels of symbolic links/);
+    });
+});
+
+describe("VFileSystem.changeDirectory()", () => {
+    let vfs;
+    beforeEach(() => {
+        vfs = createFileSystem();
+    });
+
+    it("changes to the real path of a directory", () => {
+        vfs.createSymlink("/docs", "/home/neuro/docs");
+        vfs.changeDirectory("/docs");
+        assert.equal(vfs.curPath, "/home/neuro/docs");
+        assert.equal(vfs.curDir.name, "docs");
+    });
+
+    it("refuses to change into a file and stays where it was", () => {
+        assert.throws(() => vfs.changeDirectory("/readme.txt"), /is a file, not a directory/);
+        assert.equal(vfs.curPath, "/home/neuro");
+    });
+
+    it("refuses to change into a directory that doesn't exist", () => {
+        assert.throws(() => vfs.changeDirectory("/home/vedal"), /does not exist/);
+        assert.equal(vfs.curPath, "/home/neuro");
+    });
+});
+
+describe("VFileSystem.move()", () => {
+    let vfs;
+    beforeEach(() => {
+        vfs = createFileSystem();
+    });
+
+    it("moves a directory into another one", () => {
+        vfs.makeDirectory("/home/neuro/archive");
+        assert.equal(vfs.move("/home/neuro/docs", "/home/neuro/archive"), "/home/neuro/archive/docs");
+        assert.equal(vfs.exists("/home/neuro/docs"), false);
+        assert.equal(vfs.getDir("/home/neuro/archive/docs").name, "docs");
+    });
+
+    it("refuses to move a directory inside itself", () => {
+        assert.throws(() => vfs.move("/home/neuro/docs", "/home/neuro/docs/inner"), /can't be placed inside itself/);
+        assert.equal(vfs.getDir("/home/neuro/docs").name, "docs");
+    });
+
+    it("refuses to move a directory inside itself through a symlink that points into it", () => {
+        vfs.createSymlink("/home/neuro/link", "docs");
+        assert.throws(() => vfs.move("/home/neuro/docs", "/home/neuro/link/inner"), /can't be placed inside itself/);
+        assert.equal(vfs.getDir("/home/neuro/docs").name, "docs");
+        assert.equal(vfs.exists("/home/neuro/docs/inner"), false);
+    });
+});
+
+describe("VFileSystem.makeDirectory()", () => {
+    let vfs;
+    beforeEach(() => {
+        vfs = createFileSystem();
+    });
+
+    it("creates missing parent directories", () => {
+        vfs.makeDirectory("/home/neuro/a/b", true);
+        assert.equal(vfs.getDir("/home/neuro/a/b").name, "b");
+        // existing directories are fine
+        vfs.makeDirectory("/home/neuro/a", true);
+    });
+
+    it("creates parent directories through a symlink", () => {
+        vfs.createSymlink("/home/neuro/link", "docs");
+        vfs.makeDirectory("/home/neuro/link/a/b", true);
+        assert.equal(vfs.getDir("/home/neuro/docs/a/b").name, "b");
+        assert.equal(vfs.getNode("/home/neuro/link", false).type, "symlink");
+    });
+
+    it("creates parent directories in a mounted file system", () => {
+        const hidden = vfs.getDir("/home/neuro/docs");
+        const remote = new VDirectory("");
+        vfs.mount("/home/neuro/docs", remote);
+        vfs.makeDirectory("/home/neuro/docs/a/b", true);
+        assert.equal(vfs.getDir("/home/neuro/docs/a/b").name, "b");
+        assert.ok(remote.children["a"]);
+        assert.equal(hidden.children["a"], undefined);
+    });
+
+    it("reports files and broken symlinks in the way", () => {
+        assert.throws(() => vfs.makeDirectory("/home/neuro/notes.txt/a", true), {
+            name: "VFileSystemError", message: /"\/home\/neuro\/notes.txt" is a file, not a directory/
+        });
+        vfs.createSymlink("/home/neuro/broken", "missing");
+        assert.throws(() => vfs.makeDirectory("/home/neuro/broken/a", true), VFileSystemError);
+    });
+});